@@ -1,6 +1,6 @@
 // This script extends the functionality of the WorldPainter API by enabling more flexible global operations. The standard WorldPainter API lacks the capability to combine multiple filters, such as "only on Sand" and "only on Water." This script addresses that limitation by allowing more complex and customizable operations for tedious global tasks.
 
-// The first section of the script (up to line 441) defines the objects and methods required to perform these enhanced operations. Following that, several examples are provided to demonstrate usage. The syntax is designed to be as close to the original WorldPainter API as possible, ensuring ease of adoption for users familiar with the standard API.
+// The first section of the script (up to "HERE THE ACTUAL SCRIPT BEGINS") defines the objects and methods required to perform these enhanced operations. Following that, several examples are provided to demonstrate usage. The syntax is designed to be as close to the original WorldPainter API as possible, ensuring ease of adoption for users familiar with the standard API.
 
 
 // -------------------------------------------------------------------- //
@@ -8,437 +8,4481 @@
 // -------------------------------------------------------------------- //
 
 
-// Checks whether any layer in a given list of layers is present at specified coordinates
-function isLayerAt(layerList, x_coord, y_coord){
+// Width and height of a WorldPainter tile in blocks
+var TILE_SIZE = 128;
+
+// Checks whether any layer in a given list of layers is present at specified coordinates. Layers with values (Frost, Trees...)
+// are present where their value is from min to max, by default from 1 up
+function isLayerAt(layerList, x_coord, y_coord, min, max){
     var listLength = layerList.length;
     for (var i = 0; i < listLength; i++){
-        if (dimension.getBitLayerValueAt(layerList[i], x_coord, y_coord)){
+        if (isBitLayer(layerList[i])){
+            if (dimension.getBitLayerValueAt(layerList[i], x_coord, y_coord)){
+                return true;
+            }
+        } else {
+            var value = dimension.getLayerValueAt(layerList[i], x_coord, y_coord);
+            if (value >= ((min === undefined) ? 1 : min) && value <= ((max === undefined) ? Infinity : max)){
+                return true;
+            }
+        }
+    }
+    return false;
+}
+
+// Checks whether the terrain type at specified coordinates is contained in a list of terrain types
+function isTerrainAt(terrainList, x_coord, y_coord){
+    var listLength = terrainList.length;
+    var terrain = dimension.getTerrainAt(x_coord, y_coord);
+    for (var i = 0; i < listLength; i++){
+        if (terrain == terrainList[i]){
             return true;
         }
     }
-    return false;
+    return false;
+}
+
+// Value of the Biome layer for columns that have no painted biome, so WorldPainter picks one automatically
+var AUTO_BIOME = 255;
+
+// Returns the biome ID at specified coordinates: the painted biome, or the one WorldPainter assigns automatically
+function biomeAt(x_coord, y_coord){
+    var biome = dimension.getLayerValueAt(org.pepsoft.worldpainter.layers.Biome.INSTANCE, x_coord, y_coord);
+    return (biome == AUTO_BIOME) ? dimension.getAutoBiome(x_coord, y_coord) : biome;
+}
+
+// Checks if the terrain at specified coordinates is below the water level
+function isWater(x_coord,y_coord){
+    return(dimension.getIntHeightAt(x_coord,y_coord) < dimension.getWaterLevelAt(x_coord,y_coord));
+}
+
+// Converts degrees to slope to compare with the return value of dimension.getSlope(x, y)
+function degreesToSlope(deg){
+    return(Math.tan(deg*(Math.PI/180)));
+}
+
+// Builds the key under which a tile is stored in a tile lookup object
+function tileKey(tile_x, tile_y){
+    return tile_x + "," + tile_y;
+}
+
+// Checks whether the column at specified coordinates lies inside WorldPainter's selection (block or chunk selection)
+function isSelected(x_coord, y_coord){
+    return (dimension.getBitLayerValueAt(org.pepsoft.worldpainter.selection.SelectionBlock.INSTANCE, x_coord, y_coord)
+        || dimension.getBitLayerValueAt(org.pepsoft.worldpainter.selection.SelectionChunk.INSTANCE, x_coord, y_coord));
+}
+
+// Returns the overlap of two rectangles given as {xMin, yMin, xMax, yMax}. The result is empty (xMin > xMax) if they do not overlap
+function intersectBounds(a, b){
+    return {xMin: Math.max(a.xMin, b.xMin), yMin: Math.max(a.yMin, b.yMin), xMax: Math.min(a.xMax, b.xMax), yMax: Math.min(a.yMax, b.yMax)};
+}
+
+// Returns the smallest rectangle containing two rectangles given as {xMin, yMin, xMax, yMax}
+function unionBounds(a, b){
+    return {xMin: Math.min(a.xMin, b.xMin), yMin: Math.min(a.yMin, b.yMin), xMax: Math.max(a.xMax, b.xMax), yMax: Math.max(a.yMax, b.yMax)};
+}
+
+// Checks how a tile overlaps a rectangle given in blocks. Returns TILE_NONE, TILE_SOME or TILE_ALL (see Filter Predicates)
+function checkTileAgainstBounds(bounds, tile_x, tile_y){
+    var xMin = tile_x * TILE_SIZE, yMin = tile_y * TILE_SIZE;
+    var xMax = xMin + TILE_SIZE - 1, yMax = yMin + TILE_SIZE - 1;
+    if (xMax < bounds.xMin || xMin > bounds.xMax || yMax < bounds.yMin || yMin > bounds.yMax){
+        return TILE_NONE;
+    }
+    return (xMin >= bounds.xMin && xMax <= bounds.xMax && yMin >= bounds.yMin && yMax <= bounds.yMax) ? TILE_ALL : TILE_SOME;
+}
+
+// Output settings, changed with setReporting. The verbosity levels are listed from least to most output
+var VERBOSITY_LEVELS = ["quiet", "summary", "progress"];
+var reporting = {verbosity: "progress", progressInterval: 10, banner: true};
+
+// Changes what runs print. Options (all optional):
+//   verbosity: "quiet" (only warnings), "summary" (a summary after every run) or "progress" (also progress during long runs, the default)
+//   progressInterval: seconds between progress messages, default 10
+//   banner: false to leave out the closing banner after .go()
+function setReporting(options){
+    requireDefined("setReporting", arguments, 0, "the options");
+    if (options.verbosity !== undefined && VERBOSITY_LEVELS.indexOf(options.verbosity) < 0){
+        throw invalidArgument("setReporting", arguments, "verbosity must be one of " + VERBOSITY_LEVELS.map(describeValue).join(", "));
+    }
+    if (options.progressInterval !== undefined){
+        requireNumberValue("setReporting", arguments, options.progressInterval, "progressInterval", 1, Infinity);
+    }
+    for (var key in options){
+        if (reporting[key] === undefined){
+            throw invalidArgument("setReporting", arguments, "unknown option " + describeValue(key) + ". Options: " + Object.keys(reporting).join(", "));
+        }
+        reporting[key] = options[key];
+    }
+}
+
+// Checks whether output of the given verbosity level is printed
+function isReporting(level){
+    return VERBOSITY_LEVELS.indexOf(reporting.verbosity) >= VERBOSITY_LEVELS.indexOf(level);
+}
+
+// Formats a duration, e.g. "45 s" or "3 min 20 s"
+function formatSeconds(seconds){
+    seconds = Math.round(seconds);
+    return (seconds < 60) ? seconds + " s" : Math.floor(seconds / 60) + " min " + (seconds % 60) + " s";
+}
+
+// Creates the progress counter of a scan over totalTiles tiles. tileDone() prints the share of tiles done and the estimated
+// time left, at most once per progressInterval
+function createProgress(actionName, totalTiles){
+    var startTime = Date.now(), lastReport = startTime, doneTiles = 0;
+    return {
+        tileDone: function(){
+            doneTiles++;
+            var now = Date.now();
+            if (now - lastReport >= reporting.progressInterval * 1000 && doneTiles < totalTiles && isReporting("progress")){
+                lastReport = now;
+                var seconds = (now - startTime) / 1000;
+                print(actionName + ": " + Math.floor(100 * doneTiles / totalTiles) + "% of tiles done (" + doneTiles + " of " + totalTiles + ") after "
+                    + formatSeconds(seconds) + ", about " + formatSeconds(seconds * (totalTiles - doneTiles) / doneTiles) + " left.");
+            }
+        }
+    };
+}
+
+// Prints the result of a scan: matched and scanned columns, tiles and throughput, and why the scan stopped early if it did
+function printScanSummary(stats){
+    print("Matched " + stats.matched + " of " + stats.columns + " columns on " + stats.tiles + " tiles (" + stats.skippedTiles + " tiles skipped by filters) in "
+        + stats.seconds.toFixed(1) + " s (" + Math.round(stats.columns / Math.max(stats.seconds, 0.001)) + " columns/s).");
+    if (stats.stopped !== null){
+        print("Stopped early: " + stats.stopped + ". The rest of the map was not scanned.");
+    }
+}
+
+// Prints counts per key, largest first, as a share of the total. Only the first maxRows keys are printed
+function printBreakdown(title, counts, total, maxRows){
+    var keys = Object.keys(counts).sort(function(a, b){
+        return counts[b] - counts[a];
+    });
+    print(title + ":");
+    for (var i = 0; i < keys.length && i < maxRows; i++){
+        print("    " + keys[i] + ": " + counts[keys[i]] + " (" + (100 * counts[keys[i]] / Math.max(total, 1)).toFixed(1) + "%)");
+    }
+    if (keys.length > maxRows){
+        print("    ... and " + (keys.length - maxRows) + " more");
+    }
+}
+
+// Keeps a terrain height within the build limits of the dimension
+function clampToBuildHeight(height){
+    return Math.max(dimension.getMinHeight(), Math.min(dimension.getMaxHeight() - 1, height));
+}
+
+
+
+// --------------------------------------------------------------------- //
+// ---------------------------- Validation ----------------------------- //
+// --------------------------------------------------------------------- //
+
+
+// Describes a value for error messages: text in quotes, lists in brackets, layers and terrains by name
+function describeValue(value){
+    if (value === undefined || value === null){
+        return String(value);
+    }
+    if (typeof value === "string"){
+        return "\"" + value + "\"";
+    }
+    if (Array.isArray(value)){
+        return "[" + value.map(describeValue).join(", ") + "]";
+    }
+    if (isPredicate(value)){
+        return "<predicate>";
+    }
+    if (typeof value === "function"){
+        return "<function>";
+    }
+    if (typeof value === "object" && typeof value.getName === "function"){
+        return String(value.getName());
+    }
+    if (String(value) === "[object Object]"){
+        var entries = [];
+        for (var key in value){
+            entries.push(key + ": " + describeValue(value[key]));
+        }
+        return "{" + entries.join(", ") + "}";
+    }
+    return String(value);
+}
+
+// Creates the error for an invalid argument, e.g. "withProbability(1.5): the probability must be a number from 0 to 1".
+// The message without the call is kept in invalidArgument, so an action can report the error under its own method name
+function invalidArgument(call, args, message){
+    var error = new Error(call + "(" + Array.prototype.map.call(args, describeValue).join(", ") + "): " + message);
+    error.invalidArgument = message;
+    return error;
+}
+
+// Checks whether a value is a WorldPainter layer
+function isLayer(value){
+    return (value !== null && typeof value === "object" && typeof value.getDataSize === "function");
+}
+
+// Checks whether a layer only stores on and off (e.g. custom object layers), as opposed to layers with values such as Frost or Trees
+function isBitLayer(layer){
+    var dataSize = String(layer.getDataSize());
+    return (dataSize == "BIT" || dataSize == "BIT_PER_CHUNK");
+}
+
+// Returns the highest value a layer can store: 1 for on/off layers, 15 for nibble layers (Frost, Trees...) and 255 otherwise
+function maxLayerValue(layer){
+    return isBitLayer(layer) ? 1 : ((String(layer.getDataSize()) == "NIBBLE") ? 15 : 255);
+}
+
+// Throws if an argument is undefined or null, which usually means a misspelled variable or one that was not loaded yet
+function requireDefined(call, args, index, what){
+    if (args[index] === undefined || args[index] === null){
+        throw invalidArgument(call, args, what + " is " + args[index]
+            + ". Check that the variable is spelled correctly and loaded before it is used");
+    }
+}
+
+// Throws if a value passed to a call is not a number from min to max. Pass -Infinity or Infinity for an open end
+function requireNumberValue(call, args, value, what, min, max){
+    if (typeof value !== "number" || isNaN(value) || value < min || value > max){
+        var range = (min == -Infinity) ? ((max == Infinity) ? "" : " of at most " + max)
+            : ((max == Infinity) ? " of at least " + min : " from " + min + " to " + max);
+        throw invalidArgument(call, args, what + " must be a number" + range + ", got " + describeValue(value));
+    }
+}
+
+// Throws if a value passed to a call is not a whole number from min to max
+function requireIntegerValue(call, args, value, what, min, max){
+    requireNumberValue(call, args, value, what, min, max);
+    if (Math.floor(value) !== value){
+        throw invalidArgument(call, args, what + " must be a whole number, got " + value);
+    }
+}
+
+// Throws if an argument is not a number from min to max
+function requireNumber(call, args, index, what, min, max){
+    requireNumberValue(call, args, args[index], what, min, max);
+}
+
+// Throws if an argument is not a whole number from min to max
+function requireInteger(call, args, index, what, min, max){
+    requireIntegerValue(call, args, args[index], what, min, max);
+}
+
+// Checks a terrain argument and returns the terrain. Terrain names such as "SAND" are looked up with Terrain.valueOf
+function toTerrain(call, args, index){
+    requireDefined(call, args, index, "terrain " + (index + 1));
+    return toTerrainValue(call, args, args[index], "argument " + (index + 1));
+}
+
+// Checks a terrain passed to a call, e.g. inside a list, and returns the terrain
+function toTerrainValue(call, args, value, what){
+    if (typeof value === "string"){
+        try {
+            return org.pepsoft.worldpainter.Terrain.valueOf(value);
+        } catch (e){
+            throw invalidArgument(call, args, "there is no terrain called " + describeValue(value)
+                + ". See https://www.worldpainter.net/javadoc/org/pepsoft/worldpainter/Terrain.html for valid names");
+        }
+    }
+    if (typeof value !== "object" || isLayer(value) || isPredicate(value)){
+        throw invalidArgument(call, args, what + " is not a terrain");
+    }
+    return value;
+}
+
+// Checks a list of pairs of a terrain and a number, e.g. [[grass, 6], [podzol, 3]] or [[0, sand], [70, grass]], and returns
+// it as a list of {terrain, value}. terrainIndex is the position of the terrain within each pair
+function toTerrainPairs(call, args, terrainIndex, what, min, max){
+    var list = args[0];
+    var example = (terrainIndex == 0) ? "[grass, 6]" : "[70, grass]";
+    if (!Array.isArray(list) || list.length == 0){
+        throw invalidArgument(call, args, "expected a list of pairs such as [" + example + ", ...], got " + describeValue(list));
+    }
+    return list.map(function(pair, i){
+        if (!Array.isArray(pair) || pair.length != 2){
+            throw invalidArgument(call, args, "entry " + (i + 1) + " must be a pair such as " + example + ", got " + describeValue(pair));
+        }
+        var terrain = pair[terrainIndex];
+        if (terrain === undefined || terrain === null){
+            throw invalidArgument(call, args, "the terrain of entry " + (i + 1) + " is " + terrain
+                + ". Check that the variable is spelled correctly and loaded before it is used");
+        }
+        requireNumberValue(call, args, pair[1 - terrainIndex], what + " of entry " + (i + 1), min, max);
+        return {terrain: toTerrainValue(call, args, terrain, "the terrain of entry " + (i + 1)), value: pair[1 - terrainIndex]};
+    });
+}
+
+// Checks a layer argument and returns the layer. With bitOnly set, layers with values (Frost, Trees...) are refused
+function toLayer(call, args, index, bitOnly){
+    requireDefined(call, args, index, "layer " + (index + 1));
+    var value = args[index];
+    if (!isLayer(value)){
+        throw invalidArgument(call, args, "argument " + (index + 1) + " is not a layer. Load layers with wp.getLayer().fromFile(...).go()");
+    }
+    if (bitOnly && !isBitLayer(value)){
+        throw invalidArgument(call, args, describeValue(value) + " is a " + value.getDataSize()
+            + " layer, but only on/off (bit) layers are supported here. Use setLayerValue for layers with values");
+    }
+    return value;
+}
+
+// Checks a list of terrain or layer arguments and returns it as an array
+function toArgumentList(call, args, convert){
+    if (args.length == 0){
+        throw invalidArgument(call, args, "at least one argument is needed");
+    }
+    var list = [];
+    for (var i = 0; i < args.length; i++){
+        list.push(convert(call, args, i, true));
+    }
+    return list;
+}
+
+// Minecraft biome IDs as used by WorldPainter's Biome layer, by name. Names of Minecraft 1.18 and later that replaced older ones
+// are included as well. Biomes that are not listed can be given by their ID
+var BIOME_IDS = {
+    ocean: 0, plains: 1, desert: 2, mountains: 3, windswept_hills: 3, forest: 4, taiga: 5, swamp: 6, river: 7, nether_wastes: 8,
+    the_end: 9, frozen_ocean: 10, frozen_river: 11, snowy_tundra: 12, snowy_plains: 12, snowy_mountains: 13, mushroom_fields: 14,
+    mushroom_field_shore: 15, beach: 16, desert_hills: 17, wooded_hills: 18, taiga_hills: 19, mountain_edge: 20, jungle: 21,
+    jungle_hills: 22, jungle_edge: 23, sparse_jungle: 23, deep_ocean: 24, stone_shore: 25, stony_shore: 25, snowy_beach: 26,
+    birch_forest: 27, birch_forest_hills: 28, dark_forest: 29, snowy_taiga: 30, snowy_taiga_hills: 31, giant_tree_taiga: 32,
+    old_growth_pine_taiga: 32, giant_tree_taiga_hills: 33, wooded_mountains: 34, windswept_forest: 34, savanna: 35,
+    savanna_plateau: 36, badlands: 37, wooded_badlands_plateau: 38, wooded_badlands: 38, badlands_plateau: 39,
+    small_end_islands: 40, end_midlands: 41, end_highlands: 42, end_barrens: 43, warm_ocean: 44, lukewarm_ocean: 45,
+    cold_ocean: 46, deep_warm_ocean: 47, deep_lukewarm_ocean: 48, deep_cold_ocean: 49, deep_frozen_ocean: 50, the_void: 127,
+    sunflower_plains: 129, desert_lakes: 130, gravelly_mountains: 131, windswept_gravelly_hills: 131, flower_forest: 132,
+    taiga_mountains: 133, swamp_hills: 134, ice_spikes: 140, modified_jungle: 149, modified_jungle_edge: 151,
+    tall_birch_forest: 155, old_growth_birch_forest: 155, tall_birch_hills: 156, dark_forest_hills: 157,
+    snowy_taiga_mountains: 158, giant_spruce_taiga: 160, old_growth_spruce_taiga: 160, giant_spruce_taiga_hills: 161,
+    modified_gravelly_mountains: 162, shattered_savanna: 163, windswept_savanna: 163, shattered_savanna_plateau: 164,
+    eroded_badlands: 165, modified_wooded_badlands_plateau: 166, modified_badlands_plateau: 167, bamboo_jungle: 168,
+    bamboo_jungle_hills: 169, soul_sand_valley: 170, crimson_forest: 171, warped_forest: 172, basalt_deltas: 173,
+    dripstone_caves: 174, lush_caves: 175
+};
+
+// Checks a biome argument and returns the biome ID. Biomes are given by ID (0 to 254) or by name, e.g. "desert", "Snowy Taiga"
+// or "minecraft:dark_forest"
+function toBiome(call, args, index){
+    requireDefined(call, args, index, "biome " + (index + 1));
+    var value = args[index];
+    if (typeof value === "string"){
+        var name = value.toLowerCase().replace(/^minecraft:/, "").replace(/[ -]/g, "_");
+        if (!BIOME_IDS.hasOwnProperty(name)){
+            throw invalidArgument(call, args, "there is no biome called " + describeValue(value) + ". Use a name such as \"desert\" or the biome ID");
+        }
+        return BIOME_IDS[name];
+    }
+    requireIntegerValue(call, args, value, "biome " + (index + 1), 0, AUTO_BIOME - 1);
+    return value;
+}
+
+// Compass directions for facing(), in degrees clockwise from north. North is towards negative y, the top of the map
+var COMPASS_DIRECTIONS = {north: 0, northeast: 45, east: 90, southeast: 135, south: 180, southwest: 225, west: 270, northwest: 315};
+
+// Checks a direction for facing() and returns it in degrees clockwise from north. Accepts the names in COMPASS_DIRECTIONS,
+// also written as "north-east" or "North East", and degrees from 0 to 360
+function toDirection(call, args, index){
+    requireDefined(call, args, index, "the direction");
+    var value = args[index];
+    if (typeof value === "string"){
+        var name = value.toLowerCase().replace(/[-_ ]/g, "");
+        if (!COMPASS_DIRECTIONS.hasOwnProperty(name)){
+            throw invalidArgument(call, args, "there is no direction called " + describeValue(value) + ". Use "
+                + Object.keys(COMPASS_DIRECTIONS).map(describeValue).join(", ") + " or degrees clockwise from north");
+        }
+        return COMPASS_DIRECTIONS[name];
+    }
+    requireNumber(call, args, index, "the direction", 0, 360);
+    return value;
+}
+
+// Checks a neighborhood target (terrain, bit layer, WATER, MAP_EDGE or a list of these) and returns it with terrain names looked up
+function toTarget(call, args, index){
+    requireDefined(call, args, index, "the target");
+    var value = args[index];
+    if (Array.isArray(value)){
+        if (value.length == 0){
+            throw invalidArgument(call, args, "the target list is empty");
+        }
+        var targets = [];
+        for (var i = 0; i < value.length; i++){
+            targets.push(toTarget(call, value, i));
+        }
+        return targets;
+    }
+    if (value === WATER || value === MAP_EDGE){
+        return value;
+    }
+    return isLayer(value) ? toLayer(call, args, index, true) : toTerrain(call, args, index);
+}
+
+// Throws if an argument is not a predicate, e.g. when aboveLevel is passed instead of aboveLevel(40)
+function requirePredicate(call, args, index){
+    if (!isPredicate(args[index])){
+        throw invalidArgument(call, args, "argument " + (index + 1) + " is not a predicate. Use the predicate functions, e.g. aboveLevel(40) or anyOf(...)");
+    }
+}
+
+// Throws if a required target of an action (layer, terrain, level...) was never set
+function requireTarget(action, method, value){
+    if (value === null || value === undefined){
+        throw new Error(action.actionName + ": ." + method + "() was not called or was called without a value. It is required before .go()");
+    }
+}
+
+
+
+// --------------------------------------------------------------------- //
+// ------------------------ Randomness and Noise ----------------------- //
+// --------------------------------------------------------------------- //
+
+
+// Multiplies two 32 bit integers the way C does, with overflow (Math.imul is not available in every script engine)
+function multiply32(a, b){
+    var aHigh = (a >>> 16) & 0xffff, aLow = a & 0xffff;
+    var bHigh = (b >>> 16) & 0xffff, bLow = b & 0xffff;
+    return ((aLow * bLow) + ((((aHigh * bLow + aLow * bHigh) & 0xffff) << 16) >>> 0)) | 0;
+}
+
+// Returns a pseudo random number from 0 (included) to 1 (excluded) for a seed and a pair of coordinates. The same input
+// always gives the same number, no matter in which order the columns are visited
+function hashCoordinates(seed, x, y){
+    var h = (seed + multiply32(x | 0, 374761393) + multiply32(y | 0, 668265263)) | 0;
+    h = multiply32(h ^ (h >>> 15), 0x85ebca6b);
+    h = multiply32(h ^ (h >>> 13), 0xc2b2ae35);
+    h = h ^ (h >>> 16);
+    return (h >>> 0) / 4294967296;
+}
+
+// Derives a new seed from a seed and a number, e.g. one seed per filter or per noise octave
+function deriveSeed(seed, n){
+    return Math.floor(hashCoordinates(seed, n, 0x5eed) * 2147483647);
+}
+
+// Returns a random seed for runs where the user did not set one
+function randomSeed(){
+    return Math.floor(Math.random() * 2147483647);
+}
+
+// Smooth interpolation curve used by the gradient noise
+function fade(t){
+    return t * t * t * (t * (t * 6 - 15) + 10);
+}
+
+// Dot product of the pseudo random gradient at lattice point (ix, iy) with the offset (dx, dy)
+function gradientAt(seed, ix, iy, dx, dy){
+    var angle = hashCoordinates(seed, ix, iy) * 2 * Math.PI;
+    return Math.cos(angle) * dx + Math.sin(angle) * dy;
+}
+
+// Two dimensional gradient (Perlin) noise. Returns values from about -0.7 to 0.7, changing smoothly with x and y
+function perlinNoise(seed, x, y){
+    var ix = Math.floor(x), iy = Math.floor(y);
+    var dx = x - ix, dy = y - iy;
+    var u = fade(dx), v = fade(dy);
+    var top = gradientAt(seed, ix, iy, dx, dy) + u * (gradientAt(seed, ix + 1, iy, dx - 1, dy) - gradientAt(seed, ix, iy, dx, dy));
+    var bottom = gradientAt(seed, ix, iy + 1, dx, dy - 1) + u * (gradientAt(seed, ix + 1, iy + 1, dx - 1, dy - 1) - gradientAt(seed, ix, iy + 1, dx, dy - 1));
+    return top + v * (bottom - top);
+}
+
+// Fractal noise from 0 to 1 at block coordinates x, y. scale is the size of the features in blocks, every further octave
+// adds detail at half the size and half the strength
+function fractalNoise(seed, x, y, scale, octaves){
+    var sum = 0, amplitude = 1, totalAmplitude = 0, frequency = 1 / scale;
+    for (var i = 0; i < octaves; i++){
+        sum += amplitude * perlinNoise(deriveSeed(seed, i), x * frequency, y * frequency);
+        totalAmplitude += amplitude;
+        amplitude /= 2;
+        frequency *= 2;
+    }
+    return Math.max(0, Math.min(1, 0.5 + 0.5 * (sum / totalAmplitude) / 0.7071));
+}
+
+// Fractal noise stretched to the full range from 0 to 1. Plain fractal noise rarely strays far from 0.5, so gradients and
+// blending driven by it would hardly reach their ends
+function stretchedNoise(seed, x, y, scale, octaves){
+    return Math.max(0, Math.min(1, (fractalNoise(seed, x, y, scale, octaves) - 0.5) * 2 + 0.5));
+}
+
+
+
+// --------------------------------------------------------------------- //
+// ------------------------- Filter Predicates ------------------------- //
+// --------------------------------------------------------------------- //
+
+
+// The functions in this section create filter predicates. They can be combined with allOf, anyOf and not, and passed to the
+// .where() method of any action, e.g. .where(anyOf(belowLevel(40), aboveLevel(122))). The filter methods of the actions
+// (onlyOnTerrain, aboveLevel...) are shorthands for .where() with the predicates below.
+
+// Cost classes used to order the filters of an action. Cheap lookups are checked first, so height and slope are
+// only read for columns that passed everything else
+var COST_REGION = 0;
+var COST_RANDOM = 1;
+var COST_TERRAIN = 2;
+var COST_LAYER = 3;
+var COST_HEIGHT = 4;
+var COST_SLOPE = 5;
+var COST_NEIGHBORHOOD = 6;
+var COST_SPACING = 100; // Always last, because it remembers every column that passes it
+
+// Results of a tile check: no column, some columns or every column of the tile can pass the filter
+var TILE_NONE = 0;
+var TILE_SOME = 1;
+var TILE_ALL = 2;
+
+// Creates the column object handed to the filters. Height, slope and water level are read from the dimension on first use only
+function createColumn(){
+    return {
+        x: 0,
+        y: 0,
+        heightVar: null,
+        slopeVar: null,
+        waterLevelVar: null,
+        moveTo: function(x, y){
+            this.x = x;
+            this.y = y;
+            this.heightVar = null;
+            this.slopeVar = null;
+            this.waterLevelVar = null;
+        },
+        height: function(){
+            if (this.heightVar === null){
+                this.heightVar = dimension.getIntHeightAt(this.x, this.y);
+            }
+            return this.heightVar;
+        },
+        slope: function(){
+            if (this.slopeVar === null){
+                this.slopeVar = dimension.getSlope(this.x, this.y);
+            }
+            return this.slopeVar;
+        },
+        waterLevel: function(){
+            if (this.waterLevelVar === null){
+                this.waterLevelVar = dimension.getWaterLevelAt(this.x, this.y);
+            }
+            return this.waterLevelVar;
+        }
+    };
+}
+
+// Creates a filter predicate. test(column) decides a single column. The optional checkTile(tile_x, tile_y) returns TILE_NONE,
+// TILE_SOME or TILE_ALL, so whole tiles can be skipped or waved through without looking at their columns. checkTile is
+// always called for a tile before its columns are tested. The optional bounds ({xMin, yMin, xMax, yMax} in blocks) limit the scan.
+// Predicates that need to set up state for a run (seeds, caches) replace prepare(run), which is called before every scan.
+// Simple predicates describe themselves in info ({type, negated, ...}), which is used to warn about filters that can never match
+function createPredicate(cost, test, checkTile, bounds){
+    return {
+        cost: cost,
+        test: test,
+        checkTile: checkTile || function(){
+            return TILE_SOME;
+        },
+        bounds: bounds || null,
+        prepare: function(run){},
+        info: null
+    };
+}
+
+// Creates the state shared by the predicates during one scan. nextSeed() hands every random filter its own seed derived from
+// the seed set with withSeed(), or a random seed if none was set
+function createRun(seed){
+    var seedCount = 0;
+    return {
+        seed: seed,
+        nextSeed: function(){
+            seedCount++;
+            return (seed === null) ? randomSeed() : deriveSeed(seed, seedCount);
+        }
+    };
+}
+
+// Calls prepare(run) on every predicate in a list
+function prepareAll(predicates, run){
+    for (var i = 0; i < predicates.length; i++){
+        predicates[i].prepare(run);
+    }
+}
+
+// Checks whether a value is a predicate created by createPredicate
+function isPredicate(arg){
+    return (arg !== null && typeof arg === "object" && typeof arg.test === "function" && typeof arg.checkTile === "function");
+}
+
+// Sorts predicates from cheapest to most expensive. Predicates of equal cost keep the order in which they were added
+function sortByCost(predicates){
+    var sorted = [];
+    for (var i = 0; i < predicates.length; i++){
+        sorted.push({predicate: predicates[i], order: i});
+    }
+    sorted.sort(function(a, b){
+        return (a.predicate.cost - b.predicate.cost) || (a.order - b.order);
+    });
+    for (var j = 0; j < sorted.length; j++){
+        sorted[j] = sorted[j].predicate;
+    }
+    return sorted;
+}
+
+// Highest cost in a list of predicates, used as the cost of a group
+function maxCost(predicates){
+    var cost = COST_REGION;
+    for (var i = 0; i < predicates.length; i++){
+        cost = Math.max(cost, predicates[i].cost);
+    }
+    return cost;
+}
+
+// Passes columns that pass every one of the given predicates
+function allOf(){
+    for (var k = 0; k < arguments.length; k++){
+        requirePredicate("allOf", arguments, k);
+    }
+    var children = sortByCost(Array.prototype.slice.call(arguments));
+    var active = children;
+    var bounds = null;
+    for (var i = 0; i < children.length; i++){
+        if (children[i].bounds !== null){
+            bounds = (bounds === null) ? children[i].bounds : intersectBounds(bounds, children[i].bounds);
+        }
+    }
+    var group = createPredicate(maxCost(children), function(column){
+        return passesAll(active, column);
+    }, function(tile_x, tile_y){
+        var remaining = predicatesForTile(children, tile_x, tile_y);
+        if (remaining === null){
+            return TILE_NONE;
+        }
+        active = remaining;
+        return (remaining.length == 0) ? TILE_ALL : TILE_SOME;
+    }, bounds);
+    group.prepare = function(run){
+        prepareAll(children, run);
+    };
+    return group;
+}
+
+// Passes columns that pass at least one of the given predicates
+function anyOf(){
+    if (arguments.length == 0){
+        throw invalidArgument("anyOf", arguments, "at least one predicate is needed");
+    }
+    for (var k = 0; k < arguments.length; k++){
+        requirePredicate("anyOf", arguments, k);
+    }
+    var children = sortByCost(Array.prototype.slice.call(arguments));
+    var active = children;
+    var bounds = null;
+    for (var i = 0; i < children.length; i++){
+        if (children[i].bounds === null){
+            bounds = null;
+            break;
+        }
+        bounds = (i == 0) ? children[i].bounds : unionBounds(bounds, children[i].bounds);
+    }
+    var group = createPredicate(maxCost(children), function(column){
+        var listLength = active.length;
+        for (var i = 0; i < listLength; i++){
+            if (active[i].test(column)){
+                return true;
+            }
+        }
+        return false;
+    }, function(tile_x, tile_y){
+        var remaining = [];
+        for (var i = 0; i < children.length; i++){
+            var result = children[i].checkTile(tile_x, tile_y);
+            if (result == TILE_ALL){
+                return TILE_ALL;
+            }
+            if (result == TILE_SOME){
+                remaining.push(children[i]);
+            }
+        }
+        active = remaining;
+        return (remaining.length == 0) ? TILE_NONE : TILE_SOME;
+    }, bounds);
+    group.prepare = function(run){
+        prepareAll(children, run);
+    };
+    return group;
+}
+
+// Passes columns that do not pass the given predicate
+function not(predicate){
+    requirePredicate("not", arguments, 0);
+    var inverted = createPredicate(predicate.cost, function(column){
+        return !predicate.test(column);
+    }, function(tile_x, tile_y){
+        var result = predicate.checkTile(tile_x, tile_y);
+        return (result == TILE_SOME) ? TILE_SOME : ((result == TILE_ALL) ? TILE_NONE : TILE_ALL);
+    });
+    inverted.prepare = function(run){
+        predicate.prepare(run);
+    };
+    if (predicate.info !== null){
+        inverted.info = Object.create(predicate.info);
+        inverted.info.negated = !predicate.info.negated;
+    }
+    return inverted;
+}
+
+// Passes columns with one of the given terrain types
+function onTerrain(){
+    var terrainList = toArgumentList("onTerrain", arguments, toTerrain);
+    var predicate = createPredicate(COST_TERRAIN, function(column){
+        return isTerrainAt(terrainList, column.x, column.y);
+    });
+    predicate.info = {type: "terrain", negated: false, values: terrainList};
+    return predicate;
+}
+
+// Passes columns with one of the given layers. Layers with values (Frost, Trees...) pass where their value is at least 1, or
+// within a range given as last argument, e.g. onLayer(trees, {min: 5}) or onLayer(frost, {min: 2, max: 10}). Tiles that
+// contain none of the layers are skipped entirely, unless the range includes 0
+function onLayer(){
+    var args = arguments;
+    var last = args[args.length - 1];
+    var hasRange = (args.length > 1 && last !== null && typeof last === "object" && !Array.isArray(last) && !isLayer(last) && !isPredicate(last));
+    var layerCount = hasRange ? args.length - 1 : args.length;
+    if (layerCount == 0){
+        throw invalidArgument("onLayer", args, "at least one layer is needed");
+    }
+    var layerList = [];
+    for (var i = 0; i < layerCount; i++){
+        layerList.push(toLayer("onLayer", args, i, false));
+    }
+    var min = 1, max = 255;
+    if (hasRange){
+        for (var j = 0; j < layerList.length; j++){
+            if (isBitLayer(layerList[j])){
+                throw invalidArgument("onLayer", args, describeValue(layerList[j]) + " is an on/off (bit) layer. Value ranges only apply to layers with values");
+            }
+        }
+        min = (last.min === undefined) ? 1 : last.min;
+        max = (last.max === undefined) ? 255 : last.max;
+        requireIntegerValue("onLayer", args, min, "min", 0, 255);
+        requireIntegerValue("onLayer", args, max, "max", min, 255);
+    }
+    var predicate = createPredicate(COST_LAYER, function(column){
+        return isLayerAt(layerList, column.x, column.y, min, max);
+    }, function(tile_x, tile_y){
+        if (min <= 0){
+            return TILE_SOME;
+        }
+        var tile = dimension.getTile(tile_x, tile_y);
+        for (var i = 0; i < layerList.length; i++){
+            if (tile.hasLayer(layerList[i])){
+                return TILE_SOME;
+            }
+        }
+        return TILE_NONE;
+    });
+    predicate.info = {type: "layer", negated: false, values: layerList, partial: hasRange, min: min};
+    return predicate;
+}
+
+// Passes columns in one of the given biomes, by name or ID. Columns without a painted biome are checked against the biome
+// WorldPainter assigns automatically
+function inBiome(){
+    var biomeList = toArgumentList("inBiome", arguments, toBiome);
+    var predicate = createPredicate(COST_LAYER, function(column){
+        return biomeList.indexOf(biomeAt(column.x, column.y)) >= 0;
+    });
+    predicate.info = {type: "biome", negated: false, values: biomeList};
+    return predicate;
+}
+
+// Passes flooded columns
+function onWater(){
+    var predicate = createPredicate(COST_HEIGHT, function(column){
+        return column.height() < column.waterLevel();
+    });
+    predicate.info = {type: "water", negated: false};
+    return predicate;
+}
+
+// Passes columns at and above the given terrain level
+function aboveLevel(level){
+    requireNumber("aboveLevel", arguments, 0, "the level", -Infinity, Infinity);
+    return betweenLevels(level, Infinity);
+}
+
+// Passes columns at and below the given terrain level
+function belowLevel(level){
+    requireNumber("belowLevel", arguments, 0, "the level", -Infinity, Infinity);
+    return betweenLevels(-Infinity, level);
+}
+
+// Passes columns with a terrain level from min to max, both included
+function betweenLevels(min, max){
+    requireNumber("betweenLevels", arguments, 0, "the lowest level", -Infinity, Infinity);
+    requireNumber("betweenLevels", arguments, 1, "the highest level", -Infinity, Infinity);
+    var predicate = createPredicate(COST_HEIGHT, function(column){
+        var height = column.height();
+        return (height >= min && height <= max);
+    });
+    predicate.info = {type: "level", negated: false, min: min, max: max};
+    return predicate;
+}
+
+// Passes columns with slopes at least as steep as the given degree
+function aboveDegrees(deg){
+    requireNumber("aboveDegrees", arguments, 0, "the angle", 0, 90);
+    return betweenDegrees(deg, 90);
+}
+
+// Passes columns with slopes at most as steep as the given degree
+function belowDegrees(deg){
+    requireNumber("belowDegrees", arguments, 0, "the angle", 0, 90);
+    return betweenDegrees(0, deg);
+}
+
+// Passes columns with a slope from min to max degrees, both included
+function betweenDegrees(min, max){
+    requireNumber("betweenDegrees", arguments, 0, "the lowest angle", 0, 90);
+    requireNumber("betweenDegrees", arguments, 1, "the highest angle", 0, 90);
+    var minSlope = degreesToSlope(min);
+    var maxSlope = (max >= 90) ? Infinity : degreesToSlope(max);
+    var predicate = createPredicate(COST_SLOPE, function(column){
+        var slope = column.slope();
+        return (slope >= minSlope && slope <= maxSlope);
+    });
+    predicate.info = {type: "degrees", negated: false, min: min, max: max};
+    return predicate;
+}
+
+// Passes a random share of the columns, e.g. 0.5 for half of them. The optional seed makes the result reproducible;
+// without it the seed set with withSeed() is used, or a new random seed for every run
+function withProbability(probability, seed){
+    requireNumber("withProbability", arguments, 0, "the probability", 0, 1);
+    if (seed !== undefined){
+        requireInteger("withProbability", arguments, 1, "the seed", -Infinity, Infinity);
+    }
+    var runSeed = 0;
+    var predicate = createPredicate(COST_RANDOM, function(column){
+        return hashCoordinates(runSeed, column.x, column.y) < probability;
+    });
+    predicate.prepare = function(run){
+        runSeed = (seed === undefined) ? run.nextSeed() : seed;
+    };
+    predicate.info = {type: "probability", negated: false, value: probability};
+    return predicate;
+}
+
+// Passes columns where fractal noise is at or above a threshold, so the result forms natural clumps instead of scattered
+// single columns. Options (all optional):
+//   scale: size of the clumps in blocks, default 32
+//   threshold: noise value from 0 to 1 that must be reached, default 0.5. Higher values give smaller, sparser clumps
+//   octaves: number of detail levels added to the noise, default 3
+//   seed: makes the result reproducible, otherwise the seed set with withSeed() or a random seed is used
+function withNoise(options){
+    options = options || {};
+    var scale = (options.scale === undefined) ? 32 : options.scale;
+    var threshold = (options.threshold === undefined) ? 0.5 : options.threshold;
+    var octaves = (options.octaves === undefined) ? 3 : options.octaves;
+    requireNumberValue("withNoise", arguments, scale, "scale", 0.001, Infinity);
+    requireNumberValue("withNoise", arguments, threshold, "threshold", 0, 1);
+    requireIntegerValue("withNoise", arguments, octaves, "octaves", 1, 16);
+    if (options.seed !== undefined){
+        requireIntegerValue("withNoise", arguments, options.seed, "seed", -Infinity, Infinity);
+    }
+    var runSeed = 0;
+    var predicate = createPredicate(COST_RANDOM, function(column){
+        return fractalNoise(runSeed, column.x, column.y, scale, octaves) >= threshold;
+    });
+    predicate.prepare = function(run){
+        runSeed = (options.seed === undefined) ? run.nextSeed() : options.seed;
+    };
+    return predicate;
+}
+
+// Passes a column only if no column that passed before lies within the given distance in blocks, which spaces out objects
+// like trees or boulders (Poisson disc style). Always checked after all other filters. Combine it with withProbability
+// or withNoise, otherwise the columns are picked in scan order and line up in a grid
+function withMinSpacing(distance){
+    requireNumber("withMinSpacing", arguments, 0, "the distance", 0, Infinity);
+    var distanceSquared = distance * distance;
+    var cellSize = Math.max(1, distance);
+    var cells = {};
+    var predicate = createPredicate(COST_SPACING, function(column){
+        var cellX = Math.floor(column.x / cellSize), cellY = Math.floor(column.y / cellSize);
+        for (var i = cellX - 1; i <= cellX + 1; i++){
+            for (var j = cellY - 1; j <= cellY + 1; j++){
+                var cell = cells[tileKey(i, j)];
+                if (cell === undefined){
+                    continue;
+                }
+                for (var k = 0; k < cell.length; k += 2){
+                    var dx = cell[k] - column.x, dy = cell[k + 1] - column.y;
+                    if (dx * dx + dy * dy < distanceSquared){
+                        return false;
+                    }
+                }
+            }
+        }
+        var key = tileKey(cellX, cellY);
+        if (cells[key] === undefined){
+            cells[key] = [];
+        }
+        cells[key].push(column.x, column.y);
+        return true;
+    });
+    predicate.prepare = function(run){
+        cells = {};
+    };
+    return predicate;
+}
+
+// Passes columns inside the rectangle between two corners, in blocks
+function withinRect(x1, y1, x2, y2){
+    for (var i = 0; i < 4; i++){
+        requireNumber("withinRect", arguments, i, "corner coordinate " + (i + 1), -Infinity, Infinity);
+    }
+    var bounds = {xMin: Math.min(x1, x2), yMin: Math.min(y1, y2), xMax: Math.max(x1, x2), yMax: Math.max(y1, y2)};
+    return createPredicate(COST_REGION, function(column){
+        return (column.x >= bounds.xMin && column.x <= bounds.xMax && column.y >= bounds.yMin && column.y <= bounds.yMax);
+    }, function(tile_x, tile_y){
+        return checkTileAgainstBounds(bounds, tile_x, tile_y);
+    }, bounds);
+}
+
+// Passes columns inside a circle, in blocks. Tiles entirely inside or outside the circle are decided without checking their columns
+function withinCircle(centerX, centerY, radius){
+    requireNumber("withinCircle", arguments, 0, "the center x", -Infinity, Infinity);
+    requireNumber("withinCircle", arguments, 1, "the center y", -Infinity, Infinity);
+    requireNumber("withinCircle", arguments, 2, "the radius", 0, Infinity);
+    var radiusSquared = radius * radius;
+    var bounds = {xMin: Math.floor(centerX - radius), yMin: Math.floor(centerY - radius), xMax: Math.ceil(centerX + radius), yMax: Math.ceil(centerY + radius)};
+    return createPredicate(COST_REGION, function(column){
+        var dx = column.x - centerX;
+        var dy = column.y - centerY;
+        return (dx * dx + dy * dy <= radiusSquared);
+    }, function(tile_x, tile_y){
+        var xMin = tile_x * TILE_SIZE, yMin = tile_y * TILE_SIZE;
+        var xMax = xMin + TILE_SIZE - 1, yMax = yMin + TILE_SIZE - 1;
+        var nearX = Math.max(xMin, Math.min(centerX, xMax)) - centerX;
+        var nearY = Math.max(yMin, Math.min(centerY, yMax)) - centerY;
+        if (nearX * nearX + nearY * nearY > radiusSquared){
+            return TILE_NONE;
+        }
+        var farX = Math.max(Math.abs(xMin - centerX), Math.abs(xMax - centerX));
+        var farY = Math.max(Math.abs(yMin - centerY), Math.abs(yMax - centerY));
+        return (farX * farX + farY * farY <= radiusSquared) ? TILE_ALL : TILE_SOME;
+    }, bounds);
+}
+
+// Passes columns on the given tiles. Accepts [[x, y], ...] or a list of points with x and y properties (e.g. java.awt.Point), in tile coordinates
+function onTiles(tileList){
+    requireDefined("onTiles", arguments, 0, "the tile list");
+    if (tileList.length === undefined || tileList.length == 0){
+        throw invalidArgument("onTiles", arguments, "a non-empty list of tiles such as [[0, 0], [1, 0]] is needed");
+    }
+    var tileLookup = {};
+    for (var i = 0; i < tileList.length; i++){
+        var tile = tileList[i];
+        if (tile !== null && tile !== undefined && tile.length == 2){
+            tileLookup[tileKey(tile[0], tile[1])] = true;
+        } else if (tile !== null && tile !== undefined && typeof tile.x === "number" && typeof tile.y === "number"){
+            tileLookup[tileKey(tile.x, tile.y)] = true;
+        } else {
+            throw invalidArgument("onTiles", arguments, "tile " + (i + 1) + " is " + describeValue(tile) + ", expected [x, y] or a point");
+        }
+    }
+    return createPredicate(COST_REGION, function(column){
+        return tileLookup[tileKey(Math.floor(column.x / TILE_SIZE), Math.floor(column.y / TILE_SIZE))] === true;
+    }, function(tile_x, tile_y){
+        return (tileLookup[tileKey(tile_x, tile_y)] === true) ? TILE_ALL : TILE_NONE;
+    });
+}
+
+// Passes columns inside WorldPainter's selection
+function withinSelection(){
+    return createPredicate(COST_LAYER, function(column){
+        return isSelected(column.x, column.y);
+    });
+}
+
+// Runs the tile checks of all predicates. Returns the predicates that still have to be tested per column, or null if the tile can be skipped
+function predicatesForTile(predicates, tile_x, tile_y){
+    var remaining = [];
+    for (var i = 0; i < predicates.length; i++){
+        var result = predicates[i].checkTile(tile_x, tile_y);
+        if (result == TILE_NONE){
+            return null;
+        }
+        if (result == TILE_SOME){
+            remaining.push(predicates[i]);
+        }
+    }
+    return remaining;
+}
+
+// Checks whether a column passes all predicates in a list
+function passesAll(predicates, column){
+    var listLength = predicates.length;
+    for (var i = 0; i < listLength; i++){
+        if (!predicates[i].test(column)){
+            return false;
+        }
+    }
+    return true;
+}
+
+
+
+// --------------------------------------------------------------------- //
+// ----------------------- Neighborhood Filters ------------------------ //
+// --------------------------------------------------------------------- //
+
+
+// The neighborhood filters look at the columns around a column. Their target can be a terrain, a bit layer, WATER, MAP_EDGE
+// or a list of these. Distances are measured in blocks, from the center of one column to the center of the other. For every
+// tile a distance field covering the tile plus a margin of the filter distance is computed once, so each column is a lookup.
+
+// Neighborhood target for flooded columns
+var WATER = "water";
+
+// Neighborhood target for everything outside the tiles of the dimension
+var MAP_EDGE = "mapEdge";
+
+// Large value standing in for "no target within reach" in the distance fields
+var FAR_AWAY = 1e20;
+
+// Turns a neighborhood target into a function(x, y) that checks a single column
+function targetTest(target){
+    if (Array.isArray(target)){
+        var tests = [];
+        for (var i = 0; i < target.length; i++){
+            tests.push(targetTest(target[i]));
+        }
+        return function(x, y){
+            for (var i = 0; i < tests.length; i++){
+                if (tests[i](x, y)){
+                    return true;
+                }
+            }
+            return false;
+        };
+    }
+    if (target === WATER){
+        return isWater;
+    }
+    if (target === MAP_EDGE){
+        return function(x, y){
+            return !dimension.isTilePresent(Math.floor(x / TILE_SIZE), Math.floor(y / TILE_SIZE));
+        };
+    }
+    if (isLayer(target)){
+        return function(x, y){
+            return dimension.getBitLayerValueAt(target, x, y);
+        };
+    }
+    return function(x, y){
+        return dimension.getTerrainAt(x, y) == target;
+    };
+}
+
+// Checks whether a neighborhood target includes MAP_EDGE, i.e. whether missing tiles count as target
+function includesMapEdge(target){
+    if (Array.isArray(target)){
+        for (var i = 0; i < target.length; i++){
+            if (includesMapEdge(target[i])){
+                return true;
+            }
+        }
+        return false;
+    }
+    return (target === MAP_EDGE);
+}
+
+// Reads and caches the target of a neighborhood filter one tile at a time (1 = target, 0 = not), so tiles shared by the
+// distance fields of neighbouring tiles are only read once. Missing tiles are not read, they are filled with outsideValue
+function createMaskCache(test, outsideValue){
+    var masks = {};
+    return {
+        maskOf: function(tile_x, tile_y){
+            var key = tileKey(tile_x, tile_y);
+            if (masks[key] === undefined){
+                var mask = new Uint8Array(TILE_SIZE * TILE_SIZE);
+                var xMin = tile_x * TILE_SIZE, yMin = tile_y * TILE_SIZE;
+                if (dimension.isTilePresent(tile_x, tile_y)){
+                    for (var j = 0; j < TILE_SIZE; j++){
+                        for (var i = 0; i < TILE_SIZE; i++){
+                            mask[i + j * TILE_SIZE] = test(xMin + i, yMin + j) ? 1 : 0;
+                        }
+                    }
+                } else {
+                    for (var k = 0; k < mask.length; k++){
+                        mask[k] = outsideValue;
+                    }
+                }
+                masks[key] = {mask: mask, tileY: tile_y};
+            }
+            return masks[key].mask;
+        },
+        // Forgets the masks of tiles above a tile row, since tiles are scanned row by row
+        forgetRowsAbove: function(tile_y){
+            for (var key in masks){
+                if (masks[key].tileY < tile_y){
+                    delete masks[key];
+                }
+            }
+        }
+    };
+}
+
+// One dimensional squared Euclidean distance transform (Felzenszwalb and Huttenlocher). Reads n values from f starting at
+// offset with the given stride and writes the result back in place. v, z and d are scratch arrays of at least n + 1 entries
+function distanceTransform1D(f, offset, stride, n, v, z, d){
+    var k = 0;
+    v[0] = 0;
+    z[0] = -Infinity;
+    z[1] = Infinity;
+    for (var q = 1; q < n; q++){
+        var fq = f[offset + q * stride];
+        var s = ((fq + q * q) - (f[offset + v[k] * stride] + v[k] * v[k])) / (2 * q - 2 * v[k]);
+        while (s <= z[k]){
+            k--;
+            s = ((fq + q * q) - (f[offset + v[k] * stride] + v[k] * v[k])) / (2 * q - 2 * v[k]);
+        }
+        k++;
+        v[k] = q;
+        z[k] = s;
+        z[k + 1] = Infinity;
+    }
+    k = 0;
+    for (var p = 0; p < n; p++){
+        while (z[k + 1] < p){
+            k++;
+        }
+        d[p] = (p - v[k]) * (p - v[k]) + f[offset + v[k] * stride];
+    }
+    for (var r = 0; r < n; r++){
+        f[offset + r * stride] = d[r];
+    }
+}
+
+// Computes the squared distance from every column of a tile (plus a margin) to the nearest target column. With invert set
+// the distance to the nearest non-target column is computed instead. Returns {originX, originY, size, distances}
+function createDistanceField(maskCache, tile_x, tile_y, margin, invert){
+    var size = TILE_SIZE + 2 * margin;
+    var originX = tile_x * TILE_SIZE - margin, originY = tile_y * TILE_SIZE - margin;
+    var distances = new Float64Array(size * size);
+    var tileXMin = Math.floor(originX / TILE_SIZE), tileXMax = Math.floor((originX + size - 1) / TILE_SIZE);
+    var tileYMin = Math.floor(originY / TILE_SIZE), tileYMax = Math.floor((originY + size - 1) / TILE_SIZE);
+    var targetValue = invert ? 0 : 1;
+
+    // Copy the target masks of all tiles that overlap the field, as 0 (target) and FAR_AWAY (no target)
+    for (var tileY = tileYMin; tileY <= tileYMax; tileY++){
+        for (var tileX = tileXMin; tileX <= tileXMax; tileX++){
+            var mask = maskCache.maskOf(tileX, tileY);
+            var xStart = Math.max(originX, tileX * TILE_SIZE), xEnd = Math.min(originX + size - 1, tileX * TILE_SIZE + TILE_SIZE - 1);
+            var yStart = Math.max(originY, tileY * TILE_SIZE), yEnd = Math.min(originY + size - 1, tileY * TILE_SIZE + TILE_SIZE - 1);
+            for (var y = yStart; y <= yEnd; y++){
+                for (var x = xStart; x <= xEnd; x++){
+                    var isTarget = (mask[(x - tileX * TILE_SIZE) + (y - tileY * TILE_SIZE) * TILE_SIZE] == targetValue);
+                    distances[(x - originX) + (y - originY) * size] = isTarget ? 0 : FAR_AWAY;
+                }
+            }
+        }
+    }
+
+    // Transform all columns, then all rows
+    var v = new Int32Array(size + 1), z = new Float64Array(size + 2), d = new Float64Array(size + 1);
+    for (var i = 0; i < size; i++){
+        distanceTransform1D(distances, i, size, size, v, z, d);
+    }
+    for (var j = 0; j < size; j++){
+        distanceTransform1D(distances, j * size, 1, size, v, z, d);
+    }
+    return {originX: originX, originY: originY, size: size, distances: distances};
+}
+
+// Returns the squared distance stored in a distance field for the column at the specified coordinates
+function squaredDistanceAt(field, x_coord, y_coord){
+    return field.distances[(x_coord - field.originX) + (y_coord - field.originY) * field.size];
+}
+
+// Creates a neighborhood predicate. For every tile a distance field to the target (or, with invert, to everything that is
+// not the target) is computed, and passes(squaredDistance, column) decides each column
+function neighborhoodPredicate(target, distance, invert, passes){
+    var margin = Math.max(1, Math.ceil(distance));
+    var test = targetTest(target);
+    var maskCache = null, field = null;
+    var predicate = createPredicate(COST_NEIGHBORHOOD, function(column){
+        return passes(squaredDistanceAt(field, column.x, column.y), column);
+    }, function(tile_x, tile_y){
+        maskCache.forgetRowsAbove(tile_y - Math.ceil(margin / TILE_SIZE));
+        field = createDistanceField(maskCache, tile_x, tile_y, margin, invert);
+        return TILE_SOME;
+    });
+    predicate.prepare = function(run){
+        maskCache = createMaskCache(test, includesMapEdge(target) ? 1 : 0);
+    };
+    return predicate;
+}
+
+// Passes columns within the given distance of the target, including the target itself
+function withinDistanceOf(target, distance){
+    target = toTarget("withinDistanceOf", arguments, 0);
+    requireNumber("withinDistanceOf", arguments, 1, "the distance", 0, Infinity);
+    var distanceSquared = distance * distance;
+    return neighborhoodPredicate(target, distance, false, function(squaredDistance){
+        return squaredDistance <= distanceSquared;
+    });
+}
+
+// Passes columns farther than the given distance from the target
+function fartherThan(target, distance){
+    target = toTarget("fartherThan", arguments, 0);
+    requireNumber("fartherThan", arguments, 1, "the distance", 0, Infinity);
+    var distanceSquared = distance * distance;
+    return neighborhoodPredicate(target, distance, false, function(squaredDistance){
+        return squaredDistance > distanceSquared;
+    });
+}
+
+// Passes target columns that lie within the given width (default 1) of a column that is not the target, i.e. the rim of the target
+function onEdgeOf(target, width){
+    target = toTarget("onEdgeOf", arguments, 0);
+    if (width === undefined){
+        width = 1;
+    } else {
+        requireNumber("onEdgeOf", arguments, 1, "the width", 1, Infinity);
+    }
+    var widthSquared = width * width;
+    var test = targetTest(target);
+    return neighborhoodPredicate(target, width, true, function(squaredDistance, column){
+        return squaredDistance <= widthSquared && test(column.x, column.y);
+    });
+}
+
+
+
+// --------------------------------------------------------------------- //
+// -------------------------- Surface Filters -------------------------- //
+// --------------------------------------------------------------------- //
+
+
+// The surface filters look at the shape of the terrain around a column: ridges and valleys, local relief, curvature, the
+// direction a slope faces and the height compared to the surroundings. For every tile the heights of the tile plus a margin
+// of the filter radius are read once and the filter is worked out for the whole tile, so each column is a lookup. Columns of
+// missing tiles are left out of the comparisons.
+
+// Largest radius in blocks that the surface filters may look around a column
+var MAX_SURFACE_RADIUS = TILE_SIZE;
+
+// Slopes under this angle in degrees face no direction
+var FLAT_DEGREES = 1;
+
+// Reads the heights of a square window of columns around a tile. Columns of missing tiles are marked as not present
+function readHeightWindow(tile_x, tile_y, margin){
+    var size = TILE_SIZE + 2 * margin;
+    var originX = tile_x * TILE_SIZE - margin, originY = tile_y * TILE_SIZE - margin;
+    var heights = new Float64Array(size * size), present = new Uint8Array(size * size);
+    var tileXMin = Math.floor(originX / TILE_SIZE), tileXMax = Math.floor((originX + size - 1) / TILE_SIZE);
+    var tileYMin = Math.floor(originY / TILE_SIZE), tileYMax = Math.floor((originY + size - 1) / TILE_SIZE);
+    for (var tileY = tileYMin; tileY <= tileYMax; tileY++){
+        for (var tileX = tileXMin; tileX <= tileXMax; tileX++){
+            if (!dimension.isTilePresent(tileX, tileY)){
+                continue;
+            }
+            var xStart = Math.max(originX, tileX * TILE_SIZE), xEnd = Math.min(originX + size - 1, tileX * TILE_SIZE + TILE_SIZE - 1);
+            var yStart = Math.max(originY, tileY * TILE_SIZE), yEnd = Math.min(originY + size - 1, tileY * TILE_SIZE + TILE_SIZE - 1);
+            for (var y = yStart; y <= yEnd; y++){
+                for (var x = xStart; x <= xEnd; x++){
+                    heights[(x - originX) + (y - originY) * size] = dimension.getHeightAt(x, y);
+                    present[(x - originX) + (y - originY) * size] = 1;
+                }
+            }
+        }
+    }
+    return {size: size, margin: margin, heights: heights, present: present};
+}
+
+// Returns the offsets of four samples radius blocks away: east, south and the two diagonals. Together with the opposite
+// offsets they describe four lines through a column. The diagonal offsets are shortened, so all samples lie about radius blocks away
+function surfaceOffsets(window, radius){
+    var diagonal = Math.max(1, Math.round(radius / Math.SQRT2));
+    return [radius, radius * window.size, diagonal * (window.size + 1), diagonal * (window.size - 1)];
+}
+
+// Calls passes(index) for every column of the tile in the middle of a height window, with the index of the column in the
+// window. Returns the results as 1 (passes) and 0 (does not), in the order of the columns in the tile
+function tileResults(window, passes){
+    var results = new Uint8Array(TILE_SIZE * TILE_SIZE);
+    for (var j = 0; j < TILE_SIZE; j++){
+        var index = (j + window.margin) * window.size + window.margin;
+        for (var i = 0; i < TILE_SIZE; i++, index++){
+            results[i + j * TILE_SIZE] = passes(index) ? 1 : 0;
+        }
+    }
+    return results;
+}
+
+// Creates a surface predicate. For every tile the heights within margin blocks are read and evaluateTile(window) returns
+// the results for the columns of the tile (see tileResults). Tiles where every or no column passes are decided at once
+function surfacePredicate(margin, evaluateTile){
+    var results = null, originX = 0, originY = 0;
+    return createPredicate(COST_NEIGHBORHOOD, function(column){
+        return results[(column.x - originX) + (column.y - originY) * TILE_SIZE] == 1;
+    }, function(tile_x, tile_y){
+        results = evaluateTile(readHeightWindow(tile_x, tile_y, margin));
+        originX = tile_x * TILE_SIZE;
+        originY = tile_y * TILE_SIZE;
+        var passing = 0;
+        for (var i = 0; i < results.length; i++){
+            passing += results[i];
+        }
+        return (passing == 0) ? TILE_NONE : ((passing == results.length) ? TILE_ALL : TILE_SOME);
+    });
+}
+
+// Checks the optional radius of a surface filter and returns it, or the default
+function toSurfaceRadius(call, args, index, defaultRadius){
+    if (args[index] === undefined){
+        return defaultRadius;
+    }
+    requireInteger(call, args, index, "the radius", 1, MAX_SURFACE_RADIUS);
+    return args[index];
+}
+
+// Checks the optional height difference of a surface filter and returns it, or the default
+function toSurfaceAmount(call, args, index, what, defaultAmount){
+    if (args[index] === undefined){
+        return defaultAmount;
+    }
+    requireNumber(call, args, index, what, 0, Infinity);
+    return args[index];
+}
+
+// Creates onRidge (sign 1) and inValley (sign -1): columns that lie at least amount blocks above (below) the columns radius
+// blocks away on both sides, along at least one of four lines through the column
+function crossSectionPredicate(call, args, sign){
+    var amount = toSurfaceAmount(call, args, 0, "the height difference", 2);
+    var radius = toSurfaceRadius(call, args, 1, 8);
+    return surfacePredicate(radius, function(window){
+        var heights = window.heights, present = window.present;
+        var offsets = surfaceOffsets(window, radius);
+        return tileResults(window, function(index){
+            for (var k = 0; k < offsets.length; k++){
+                var before = index - offsets[k], after = index + offsets[k];
+                if (present[before] && present[after] && sign * (heights[index] - heights[before]) >= amount && sign * (heights[index] - heights[after]) >= amount){
+                    return true;
+                }
+            }
+            return false;
+        });
+    });
+}
+
+// Passes columns on ridges and peaks: at least amount blocks (default 2) higher than the terrain radius blocks (default 8)
+// away on both sides, across at least one direction
+function onRidge(amount, radius){
+    return crossSectionPredicate("onRidge", arguments, 1);
+}
+
+// Passes columns in valleys and hollows: at least amount blocks (default 2) lower than the terrain radius blocks (default 8)
+// away on both sides, across at least one direction
+function inValley(amount, radius){
+    return crossSectionPredicate("inValley", arguments, -1);
+}
+
+// Sliding maximum over 2 * radius + 1 values along a line of the array f (n values from offset with the given stride), using
+// the van Herk/Gil-Werman algorithm, so the cost does not grow with the radius. Only positions with a full window, from radius
+// to n - radius - 1, are written to out at the same place. g and h are scratch arrays of at least n entries
+function slidingMaximum1D(f, out, offset, stride, n, radius, g, h){
+    var width = 2 * radius + 1;
+    for (var i = 0; i < n; i++){
+        g[i] = (i % width == 0) ? f[offset + i * stride] : Math.max(g[i - 1], f[offset + i * stride]);
+    }
+    for (var j = n - 1; j >= 0; j--){
+        h[j] = (j % width == width - 1 || j == n - 1) ? f[offset + j * stride] : Math.max(h[j + 1], f[offset + j * stride]);
+    }
+    for (var k = radius; k < n - radius; k++){
+        out[offset + k * stride] = Math.max(h[k - radius], g[k + radius]);
+    }
+}
+
+// Computes the local relief of the columns of the tile in a height window: the difference between the highest and the lowest
+// column within radius blocks (a square), leaving out missing columns. Returns the reliefs in the order of the window
+function localRelief(window, radius){
+    var size = window.size, heights = window.heights, present = window.present;
+    var highs = new Float64Array(size * size), lows = new Float64Array(size * size);
+    for (var i = 0; i < highs.length; i++){
+        highs[i] = present[i] ? heights[i] : -Infinity;
+        lows[i] = present[i] ? -heights[i] : -Infinity;
+    }
+    var rowHighs = new Float64Array(size * size), rowLows = new Float64Array(size * size);
+    var g = new Float64Array(size), h = new Float64Array(size);
+    for (var y = 0; y < size; y++){
+        slidingMaximum1D(highs, rowHighs, y * size, 1, size, radius, g, h);
+        slidingMaximum1D(lows, rowLows, y * size, 1, size, radius, g, h);
+    }
+    for (var x = radius; x < size - radius; x++){
+        slidingMaximum1D(rowHighs, highs, x, size, size, radius, g, h);
+        slidingMaximum1D(rowLows, lows, x, size, size, radius, g, h);
+    }
+    for (var k = 0; k < highs.length; k++){
+        highs[k] += lows[k];
+    }
+    return highs;
+}
+
+// Passes columns where the terrain within radius blocks (default 8) varies by at least amount blocks from lowest to highest,
+// e.g. rugged mountains as opposed to plains and plateaus
+function localReliefAbove(amount, radius){
+    requireNumber("localReliefAbove", arguments, 0, "the relief", 0, Infinity);
+    radius = toSurfaceRadius("localReliefAbove", arguments, 1, 8);
+    return surfacePredicate(radius, function(window){
+        var relief = localRelief(window, radius);
+        return tileResults(window, function(index){
+            return relief[index] >= amount;
+        });
+    });
+}
+
+// Passes columns where the terrain within radius blocks (default 8) varies by at most amount blocks from lowest to highest
+function localReliefBelow(amount, radius){
+    requireNumber("localReliefBelow", arguments, 0, "the relief", 0, Infinity);
+    radius = toSurfaceRadius("localReliefBelow", arguments, 1, 8);
+    return surfacePredicate(radius, function(window){
+        var relief = localRelief(window, radius);
+        return tileResults(window, function(index){
+            return relief[index] <= amount;
+        });
+    });
+}
+
+// Creates convex (sign 1) and concave (sign -1): columns at least amount blocks above (below) the mean of the eight columns
+// radius blocks away
+function curvaturePredicate(call, args, sign){
+    var amount = toSurfaceAmount(call, args, 0, "the height difference", 1);
+    var radius = toSurfaceRadius(call, args, 1, 8);
+    return surfacePredicate(radius, function(window){
+        var heights = window.heights, present = window.present;
+        var offsets = surfaceOffsets(window, radius);
+        return tileResults(window, function(index){
+            var sum = 0, count = 0;
+            for (var k = 0; k < offsets.length; k++){
+                if (present[index - offsets[k]]){
+                    sum += heights[index - offsets[k]];
+                    count++;
+                }
+                if (present[index + offsets[k]]){
+                    sum += heights[index + offsets[k]];
+                    count++;
+                }
+            }
+            return count > 0 && sign * (heights[index] - sum / count) >= amount;
+        });
+    });
+}
+
+// Passes columns where the terrain bulges outwards, such as hilltops, rounded ridges and the upper edge of cliffs: at least
+// amount blocks (default 1) above the mean of the terrain radius blocks (default 8) away
+function convex(amount, radius){
+    return curvaturePredicate("convex", arguments, 1);
+}
+
+// Passes columns where the terrain curves inwards, such as hollows, valley floors and the foot of slopes: at least amount
+// blocks (default 1) below the mean of the terrain radius blocks (default 8) away
+function concave(amount, radius){
+    return curvaturePredicate("concave", arguments, -1);
+}
+
+// Passes slopes that face the given direction (downhill), within tolerance degrees (default 45) either side, e.g.
+// facing("north") for the shady side of mountains. The direction is a compass name or degrees clockwise from north.
+// Slopes under FLAT_DEGREES face no direction and never pass
+function facing(direction, tolerance){
+    direction = toDirection("facing", arguments, 0);
+    if (tolerance === undefined){
+        tolerance = 45;
+    }
+    requireNumberValue("facing", arguments, tolerance, "the tolerance", 0, 180);
+    var minimumGradient = degreesToSlope(FLAT_DEGREES);
+    return surfacePredicate(1, function(window){
+        var heights = window.heights, present = window.present, size = window.size;
+        // Height of a neighbor, or of the column itself if the neighbor is missing
+        function heightAt(index, center){
+            return present[index] ? heights[index] : heights[center];
+        }
+        return tileResults(window, function(index){
+            // Sobel gradient: x grows to the east, y to the south
+            var north = index - size, south = index + size;
+            var gradientX = (heightAt(north + 1, index) + 2 * heightAt(index + 1, index) + heightAt(south + 1, index)
+                - heightAt(north - 1, index) - 2 * heightAt(index - 1, index) - heightAt(south - 1, index)) / 8;
+            var gradientY = (heightAt(south - 1, index) + 2 * heightAt(south, index) + heightAt(south + 1, index)
+                - heightAt(north - 1, index) - 2 * heightAt(north, index) - heightAt(north + 1, index)) / 8;
+            if (Math.sqrt(gradientX * gradientX + gradientY * gradientY) < minimumGradient){
+                return false;
+            }
+            // The slope faces downhill, against the gradient
+            var aspect = Math.atan2(-gradientX, gradientY) * 180 / Math.PI;
+            var difference = Math.abs(((aspect - direction) % 360 + 540) % 360 - 180);
+            return difference <= tolerance;
+        });
+    });
+}
+
+// Passes columns whose height minus the mean height within radius blocks (default 16, a square) lies from min to max, e.g.
+// relativeHeight(4, Infinity) for knolls and ridges that stand out from their surroundings, or relativeHeight(-Infinity, -4)
+// for dips. Unlike the level filters this works the same in lowlands and mountains
+function relativeHeight(min, max, radius){
+    requireNumber("relativeHeight", arguments, 0, "the lowest difference", -Infinity, Infinity);
+    requireNumber("relativeHeight", arguments, 1, "the highest difference", -Infinity, Infinity);
+    if (min > max){
+        throw invalidArgument("relativeHeight", arguments, "the lowest difference must not be above the highest");
+    }
+    radius = toSurfaceRadius("relativeHeight", arguments, 2, 16);
+    return surfacePredicate(radius, function(window){
+        var size = window.size, heights = window.heights, present = window.present;
+        // Summed area tables of the heights and of the number of present columns
+        var stride = size + 1;
+        var sums = new Float64Array(stride * stride), counts = new Float64Array(stride * stride);
+        for (var y = 0; y < size; y++){
+            for (var x = 0; x < size; x++){
+                var cell = (x + 1) + (y + 1) * stride;
+                sums[cell] = (present[x + y * size] ? heights[x + y * size] : 0) + sums[cell - 1] + sums[cell - stride] - sums[cell - stride - 1];
+                counts[cell] = present[x + y * size] + counts[cell - 1] + counts[cell - stride] - counts[cell - stride - 1];
+            }
+        }
+        return tileResults(window, function(index){
+            var x = index % size, y = Math.floor(index / size);
+            var topLeft = (x - radius) + (y - radius) * stride, topRight = (x + radius + 1) + (y - radius) * stride;
+            var bottomLeft = (x - radius) + (y + radius + 1) * stride, bottomRight = (x + radius + 1) + (y + radius + 1) * stride;
+            var mean = (sums[bottomRight] - sums[topRight] - sums[bottomLeft] + sums[topLeft])
+                / (counts[bottomRight] - counts[topRight] - counts[bottomLeft] + counts[topLeft]);
+            var difference = heights[index] - mean;
+            return difference >= min && difference <= max;
+        });
+    });
+}
+
+
+
+// --------------------------------------------------------------------- //
+// --------------------------- Water Bodies ---------------------------- //
+// --------------------------------------------------------------------- //
+
+
+// The water body filters tell oceans, lakes and rivers apart. Before the scan the flooded columns of the whole dimension are
+// grouped into bodies: columns that touch sideways (not diagonally) and hold the same liquid, water or lava. Each tile is
+// labelled on its own, and the labels are joined across tile borders with a union-find, so only the borders of one row of
+// tiles are kept in memory. The scan labels a tile again when it gets there, which gives the same labels.
+// A body of water is an ocean if it touches the map edge (missing tiles count as edge), otherwise a river if its width is at
+// most the river width, otherwise a lake. A river that flows into the ocean is part of the ocean. The width is that of the
+// rectangle with the same area and shore length, so it is the real width of ponds and lakes as well as of long, narrow rivers.
+
+// Liquids of a column, see liquidAt
+var DRY = 0;
+var LIQUID_WATER = 1;
+var LIQUID_LAVA = 2;
+
+// Width in blocks up to which a body of water that does not touch the map edge counts as a river
+var RIVER_WIDTH = 12;
+
+// Offsets of the four sideways neighbors of a column
+var SIDE_OFFSETS = [[-1, 0], [1, 0], [0, -1], [0, 1]];
+
+// Returns the liquid at specified coordinates: DRY, LIQUID_WATER or LIQUID_LAVA (flooded and marked with the FloodWithLava layer)
+function liquidAt(x_coord, y_coord){
+    if (!isWater(x_coord, y_coord)){
+        return DRY;
+    }
+    return dimension.getBitLayerValueAt(org.pepsoft.worldpainter.layers.FloodWithLava.INSTANCE, x_coord, y_coord) ? LIQUID_LAVA : LIQUID_WATER;
+}
+
+// Finds the root of an element in a union-find forest stored as a list of parents, halving the path on the way
+function findRoot(parents, element){
+    while (parents[element] != element){
+        parents[element] = parents[parents[element]];
+        element = parents[element];
+    }
+    return element;
+}
+
+// Labels the liquid bodies within one tile. Returns {labels, count, liquids, areas, shores, edges}. labels holds 0 for dry
+// columns and 1 to count for the bodies, numbered in the order of their first column, so a tile always gets the same labels.
+// The lists hold per body (at label - 1) its liquid, its number of columns, its number of shore columns (next to a column
+// without the same liquid or to the map edge) and whether it touches the map edge
+function labelTileLiquids(tile_x, tile_y){
+    var xMin = tile_x * TILE_SIZE, yMin = tile_y * TILE_SIZE;
+    var liquids = new Uint8Array(TILE_SIZE * TILE_SIZE), parents = new Int32Array(TILE_SIZE * TILE_SIZE);
+    var i, j, index;
+    for (j = 0; j < TILE_SIZE; j++){
+        for (i = 0; i < TILE_SIZE; i++){
+            index = i + j * TILE_SIZE;
+            liquids[index] = liquidAt(xMin + i, yMin + j);
+            parents[index] = index;
+        }
+    }
+
+    // Join every flooded column with the columns west and north of it that hold the same liquid. The root of a body is its first column
+    for (j = 0; j < TILE_SIZE; j++){
+        for (i = 0; i < TILE_SIZE; i++){
+            index = i + j * TILE_SIZE;
+            if (liquids[index] == DRY){
+                continue;
+            }
+            var neighbors = [(i > 0) ? index - 1 : -1, (j > 0) ? index - TILE_SIZE : -1];
+            for (var k = 0; k < neighbors.length; k++){
+                if (neighbors[k] >= 0 && liquids[neighbors[k]] == liquids[index]){
+                    var a = findRoot(parents, index), b = findRoot(parents, neighbors[k]);
+                    parents[Math.max(a, b)] = Math.min(a, b);
+                }
+            }
+        }
+    }
+
+    // Number the bodies and count their columns, shore columns and contact with the map edge
+    var tile = {labels: new Int32Array(TILE_SIZE * TILE_SIZE), count: 0, liquids: [], areas: [], shores: [], edges: []};
+    for (j = 0; j < TILE_SIZE; j++){
+        for (i = 0; i < TILE_SIZE; i++){
+            index = i + j * TILE_SIZE;
+            if (liquids[index] == DRY){
+                continue;
+            }
+            var root = findRoot(parents, index);
+            if (root == index){
+                tile.count++;
+                tile.labels[index] = tile.count;
+                tile.liquids.push(liquids[index]);
+                tile.areas.push(0);
+                tile.shores.push(0);
+                tile.edges.push(false);
+            } else {
+                tile.labels[index] = tile.labels[root];
+            }
+            var body = tile.labels[index] - 1;
+            tile.areas[body]++;
+            var shore = false;
+            for (var n = 0; n < SIDE_OFFSETS.length; n++){
+                var x = i + SIDE_OFFSETS[n][0], y = j + SIDE_OFFSETS[n][1];
+                if (x >= 0 && x < TILE_SIZE && y >= 0 && y < TILE_SIZE){
+                    shore = shore || liquids[x + y * TILE_SIZE] != liquids[index];
+                } else if (dimension.isTilePresent(Math.floor((xMin + x) / TILE_SIZE), Math.floor((yMin + y) / TILE_SIZE))){
+                    shore = shore || liquidAt(xMin + x, yMin + y) != liquids[index];
+                } else {
+                    shore = true;
+                    tile.edges[body] = true;
+                }
+            }
+            if (shore){
+                tile.shores[body]++;
+            }
+        }
+    }
+    return tile;
+}
+
+// Labels the liquid bodies of the whole dimension. Returns {tiles, count, bodyOf(label)}: tiles holds {base, count} per tile,
+// so body k (0 to count - 1) of a tile has the label base + k. bodyOf(label) describes the whole body the label belongs to
+function findWaterBodies(){
+    var startTime = Date.now();
+    var extent = dimension.getExtent();
+    var tiles = {};
+    var parents = [], liquids = [], areas = [], shores = [], edges = [];
+
+    // Joins the bodies with the given labels if they hold the same liquid. The lower label becomes the root
+    var join = function(a, b){
+        if (a < 0 || b < 0 || liquids[a] != liquids[b]){
+            return;
+        }
+        a = findRoot(parents, a);
+        b = findRoot(parents, b);
+        if (a == b){
+            return;
+        }
+        var root = Math.min(a, b), other = Math.max(a, b);
+        parents[other] = root;
+        areas[root] += areas[other];
+        shores[root] += shores[other];
+        edges[root] = edges[root] || edges[other];
+    };
+
+    // Labels of the south border of the tiles in the previous row, by tile x, and of the east border of the previous tile
+    var northBorders = {};
+    for (var tileY = extent.getY(); tileY < extent.getY() + extent.getHeight(); tileY++){
+        var southBorders = {}, westBorder = null;
+        for (var tileX = extent.getX(); tileX < extent.getX() + extent.getWidth(); tileX++){
+            if (!dimension.isTilePresent(tileX, tileY)){
+                westBorder = null;
+                continue;
+            }
+            var tile = labelTileLiquids(tileX, tileY);
+            var base = parents.length;
+            for (var k = 0; k < tile.count; k++){
+                parents.push(base + k);
+                liquids.push(tile.liquids[k]);
+                areas.push(tile.areas[k]);
+                shores.push(tile.shores[k]);
+                edges.push(tile.edges[k]);
+            }
+            tiles[tileKey(tileX, tileY)] = {base: base, count: tile.count};
+
+            // Join the bodies that continue into the tiles west and north of this one
+            var eastBorder = new Int32Array(TILE_SIZE), southBorder = new Int32Array(TILE_SIZE);
+            for (var i = 0; i < TILE_SIZE; i++){
+                var west = tile.labels[i * TILE_SIZE], north = tile.labels[i];
+                if (westBorder !== null){
+                    join(westBorder[i], west - 1 + (west > 0 ? base : 0));
+                }
+                if (northBorders[tileX] !== undefined){
+                    join(northBorders[tileX][i], north - 1 + (north > 0 ? base : 0));
+                }
+                var east = tile.labels[TILE_SIZE - 1 + i * TILE_SIZE], south = tile.labels[i + (TILE_SIZE - 1) * TILE_SIZE];
+                eastBorder[i] = (east > 0) ? base + east - 1 : -1;
+                southBorder[i] = (south > 0) ? base + south - 1 : -1;
+            }
+            westBorder = eastBorder;
+            southBorders[tileX] = southBorder;
+        }
+        northBorders = southBorders;
+    }
+
+    var count = 0;
+    for (var label = 0; label < parents.length; label++){
+        if (findRoot(parents, label) == label){
+            count++;
+        }
+    }
+    if (isReporting("progress")){
+        print("Found " + count + " bodies of water and lava in " + ((Date.now() - startTime) / 1000).toFixed(1) + " s.");
+    }
+    return {
+        tiles: tiles,
+        count: count,
+        bodyOf: function(label){
+            var root = findRoot(parents, label);
+            return {
+                label: root,
+                liquid: liquids[root],
+                area: areas[root],
+                touchesEdge: edges[root],
+                width: waterBodyWidth(areas[root], shores[root])
+            };
+        }
+    };
+}
+
+// Returns the width of the rectangle with the given area and number of shore columns. A w by l rectangle (w and l at least
+// 2) has 2 * (w + l) - 4 shore columns, so w + l and w * l are known and w is the smaller root of t * t - (w + l) * t + w * l.
+// Bodies that are rounder than a square have too few shore columns for any rectangle and count as a square
+function waterBodyWidth(area, shoreColumns){
+    var halfPerimeter = shoreColumns / 2 + 2;
+    return (halfPerimeter - Math.sqrt(Math.max(0, halfPerimeter * halfPerimeter - 4 * area))) / 2;
+}
+
+// Returns the water bodies of a scan, finding them on first use, so filters of the same scan share them
+function waterBodiesOf(run){
+    if (run.waterBodies === undefined){
+        run.waterBodies = findWaterBodies();
+    }
+    return run.waterBodies;
+}
+
+// Returns the kind of a body: "ocean", "lake", "river" or "lava". Bodies of water that do not touch the map edge are rivers
+// up to a width of riverWidth blocks
+function waterBodyKind(body, riverWidth){
+    if (body.liquid == LIQUID_LAVA){
+        return "lava";
+    }
+    if (body.touchesEdge){
+        return "ocean";
+    }
+    return (body.width <= riverWidth) ? "river" : "lake";
+}
+
+// Creates a water body predicate that passes the columns of every body for which accepts(body) returns true. Tiles without
+// such a body are skipped, the others are labelled again to look up each column
+function waterBodyPredicate(name, accepts){
+    var bodies = null, results = null, originX = 0, originY = 0;
+    var predicate = createPredicate(COST_NEIGHBORHOOD, function(column){
+        return results[(column.x - originX) + (column.y - originY) * TILE_SIZE] == 1;
+    }, function(tile_x, tile_y){
+        var entry = bodies.tiles[tileKey(tile_x, tile_y)];
+        var accepted = [], anyAccepted = false;
+        for (var k = 0; k < entry.count; k++){
+            accepted.push(accepts(bodies.bodyOf(entry.base + k)));
+            anyAccepted = anyAccepted || accepted[k];
+        }
+        if (!anyAccepted){
+            return TILE_NONE;
+        }
+        var labels = labelTileLiquids(tile_x, tile_y).labels;
+        results = new Uint8Array(TILE_SIZE * TILE_SIZE);
+        for (var i = 0; i < results.length; i++){
+            results[i] = (labels[i] > 0 && accepted[labels[i] - 1]) ? 1 : 0;
+        }
+        originX = tile_x * TILE_SIZE;
+        originY = tile_y * TILE_SIZE;
+        return TILE_SOME;
+    });
+    predicate.prepare = function(run){
+        bodies = waterBodiesOf(run);
+    };
+    predicate.info = {type: "waterBody", negated: false, name: name};
+    return predicate;
+}
+
+// Creates a predicate for bodies of one kind. Options (all optional):
+//   minArea, maxArea: size of the whole body in columns, default any size
+//   riverWidth: width in blocks up to which a body counts as a river, default RIVER_WIDTH
+function waterBodyKindPredicate(call, args, name, kind){
+    var options = args[0] || {};
+    var minArea = (options.minArea === undefined) ? 0 : options.minArea;
+    var maxArea = (options.maxArea === undefined) ? Infinity : options.maxArea;
+    var riverWidth = (options.riverWidth === undefined) ? RIVER_WIDTH : options.riverWidth;
+    requireNumberValue(call, args, minArea, "minArea", 0, Infinity);
+    requireNumberValue(call, args, maxArea, "maxArea", minArea, Infinity);
+    requireNumberValue(call, args, riverWidth, "riverWidth", 1, Infinity);
+    return waterBodyPredicate(name, function(body){
+        return waterBodyKind(body, riverWidth) == kind && body.area >= minArea && body.area <= maxArea;
+    });
+}
+
+// Passes columns of bodies of water that touch the map edge. Takes the options of waterBodyKindPredicate
+function inOcean(options){
+    return waterBodyKindPredicate("inOcean", arguments, "onlyInOcean", "ocean");
+}
+
+// Passes columns of bodies of water that do not touch the map edge and are wider than rivers, e.g. inLake({minArea: 500})
+// for lakes of at least 500 columns. Takes the options of waterBodyKindPredicate
+function inLake(options){
+    return waterBodyKindPredicate("inLake", arguments, "onlyInLake", "lake");
+}
+
+// Passes columns of narrow bodies of water that do not touch the map edge. Takes the options of waterBodyKindPredicate
+function inRiver(options){
+    return waterBodyKindPredicate("inRiver", arguments, "onlyInRiver", "river");
+}
+
+// Passes columns flooded with lava
+function onLava(){
+    var lava = org.pepsoft.worldpainter.layers.FloodWithLava.INSTANCE;
+    var predicate = createPredicate(COST_HEIGHT, function(column){
+        return column.height() < column.waterLevel() && dimension.getBitLayerValueAt(lava, column.x, column.y);
+    });
+    predicate.info = {type: "waterBody", negated: false, name: "onlyOnLava"};
+    return predicate;
+}
+
+// Passes columns under water (not lava) from min to max blocks deep, both included, e.g. waterDepthBetween(1, 4) for shallows
+function waterDepthBetween(min, max){
+    requireNumber("waterDepthBetween", arguments, 0, "the smallest depth", 0, Infinity);
+    requireNumber("waterDepthBetween", arguments, 1, "the largest depth", min, Infinity);
+    var lava = org.pepsoft.worldpainter.layers.FloodWithLava.INSTANCE;
+    var predicate = createPredicate(COST_HEIGHT, function(column){
+        var depth = column.waterLevel() - column.height();
+        return depth > 0 && depth >= min && depth <= max && !dimension.getBitLayerValueAt(lava, column.x, column.y);
+    });
+    predicate.info = {type: "waterBody", negated: false, name: "waterDepthBetween"};
+    return predicate;
+}
+
+// Prints the bodies of water and lava of the dimension, largest first, with their kind, size and width. Prints at most
+// maxRows bodies (default 20). Useful to pick minArea and riverWidth for the water body filters
+function printWaterBodies(maxRows){
+    maxRows = (maxRows === undefined) ? 20 : maxRows;
+    requireIntegerValue("printWaterBodies", arguments, maxRows, "the number of rows", 1, Infinity);
+    var bodies = findWaterBodies();
+    var list = [], seen = {};
+    for (var key in bodies.tiles){
+        for (var k = 0; k < bodies.tiles[key].count; k++){
+            var body = bodies.bodyOf(bodies.tiles[key].base + k);
+            if (!seen[body.label]){
+                seen[body.label] = true;
+                list.push(body);
+            }
+        }
+    }
+    list.sort(function(a, b){
+        return b.area - a.area;
+    });
+    print("Bodies of water and lava, largest first:");
+    for (var i = 0; i < list.length && i < maxRows; i++){
+        print("    " + waterBodyKind(list[i], RIVER_WIDTH) + ": " + list[i].area + " columns, about " + list[i].width.toFixed(1) + " blocks wide"
+            + (list[i].touchesEdge ? ", touches the map edge" : ""));
+    }
+    if (list.length > maxRows){
+        print("    ... and " + (list.length - maxRows) + " more");
+    }
+}
+
+
+
+// --------------------------------------------------------------------- //
+// ---------------------------- Mask Images ---------------------------- //
+// --------------------------------------------------------------------- //
+
+
+// Filter results can be saved as grayscale images with .exportMask(path) and images can be used as filters with
+// .onlyWhereMask(path, threshold) and .exceptWhereMask(path, threshold). PNG (and the other formats Java can read) and PGM are
+// supported. One pixel is one block, and pixel 0, 0 is the north west corner of the dimension extent, so an exported mask
+// lines up with the world when it is loaded again. Masks made elsewhere can be moved and stretched with offsetX, offsetY and scale.
+
+// Reads the first fieldCount whitespace separated fields of a PGM file, skipping # comments. Returns the fields and the
+// position after the whitespace that ends the last field, which is where the pixels of a binary PGM start
+function readPgmFields(bytes, fieldCount){
+    var fields = [], field = "", position = 0;
+    while (fields.length < fieldCount && position < bytes.length){
+        var character = String.fromCharCode(bytes[position] & 0xff);
+        position++;
+        if (character == "#"){
+            while (position < bytes.length && (bytes[position] & 0xff) != 10){
+                position++;
+            }
+        } else if (/\s/.test(character)){
+            if (field.length > 0){
+                fields.push(field);
+                field = "";
+            }
+        } else {
+            field += character;
+        }
+    }
+    if (field.length > 0 && fields.length < fieldCount){
+        fields.push(field);
+    }
+    return {fields: fields, position: position};
+}
+
+// Reads a binary (P5) or text (P2) PGM file into {width, height, values} with values from 0 to 255
+function readPgm(bytes){
+    var header = readPgmFields(bytes, 4);
+    var type = header.fields[0], width = parseInt(header.fields[1], 10), height = parseInt(header.fields[2], 10), maxValue = parseInt(header.fields[3], 10);
+    if ((type != "P5" && type != "P2") || !(width > 0 && height > 0 && maxValue > 0 && maxValue < 65536)){
+        throw new Error("not a valid grayscale PGM file");
+    }
+    var values = new Uint8Array(width * height);
+    var samples = (type == "P2") ? readPgmFields(bytes, 4 + width * height).fields.slice(4) : null;
+    var bytesPerSample = (maxValue > 255) ? 2 : 1;
+    for (var i = 0; i < width * height; i++){
+        var sample;
+        if (samples !== null){
+            if (i >= samples.length){
+                throw new Error("the PGM file ends before all " + (width * height) + " pixels were read");
+            }
+            sample = parseInt(samples[i], 10);
+        } else {
+            var offset = header.position + i * bytesPerSample;
+            if (offset + bytesPerSample > bytes.length){
+                throw new Error("the PGM file ends before all " + (width * height) + " pixels were read");
+            }
+            sample = (bytesPerSample == 2) ? ((bytes[offset] & 0xff) << 8 | (bytes[offset + 1] & 0xff)) : (bytes[offset] & 0xff);
+        }
+        values[i] = Math.round(Math.min(sample, maxValue) * 255 / maxValue);
+    }
+    return {width: width, height: height, values: values};
+}
+
+// Reads an image file into {width, height, values} with one gray value from 0 to 255 per pixel. Colors are turned into gray by brightness
+function readMaskImage(path){
+    var file = new java.io.File(path);
+    if (!file.isFile()){
+        throw new Error("image file not found: " + file.getAbsolutePath());
+    }
+    if (/\.pgm$/i.test(path)){
+        return readPgm(java.nio.file.Files.readAllBytes(file.toPath()));
+    }
+    var image = javax.imageio.ImageIO.read(file);
+    if (image === null){
+        throw new Error("the format of " + path + " is not supported. Use PNG or PGM");
+    }
+    var width = image.getWidth(), height = image.getHeight();
+    var values = new Uint8Array(width * height);
+    var raster = image.getRaster();
+    var i;
+    if (image.getColorModel() instanceof java.awt.image.IndexColorModel || raster.getNumBands() == 2 || raster.getNumBands() > 4){
+        // Palette images store indices instead of gray values, so their colors are looked up
+        var colors = image.getRGB(0, 0, width, height, null, 0, width);
+        for (i = 0; i < values.length; i++){
+            values[i] = Math.round(0.299 * ((colors[i] >> 16) & 0xff) + 0.587 * ((colors[i] >> 8) & 0xff) + 0.114 * (colors[i] & 0xff));
+        }
+    } else {
+        // Gray and RGB(A) images are read from the raster, so gray values are not changed by color space conversion
+        var bands = raster.getNumBands();
+        var maxValue = Math.pow(2, raster.getSampleModel().getSampleSize(0)) - 1;
+        // getPixels() has int[], float[] and double[] versions, so it needs a real array to pick one
+        var samples = raster.getPixels(0, 0, width, height, new (Java.type("int[]"))(width * height * bands));
+        for (i = 0; i < values.length; i++){
+            var gray = (bands >= 3) ? 0.299 * samples[i * bands] + 0.587 * samples[i * bands + 1] + 0.114 * samples[i * bands + 2] : samples[i * bands];
+            values[i] = Math.round(gray * 255 / maxValue);
+        }
+    }
+    return {width: width, height: height, values: values};
+}
+
+// Writes a gray image (java.awt.image.BufferedImage of TYPE_BYTE_GRAY) as PGM if the path ends with .pgm, otherwise as PNG
+function writeMaskImage(path, image){
+    var file = new java.io.File(path);
+    if (file.getAbsoluteFile().getParentFile() !== null){
+        file.getAbsoluteFile().getParentFile().mkdirs();
+    }
+    if (/\.pgm$/i.test(path)){
+        var out = new java.io.BufferedOutputStream(new java.io.FileOutputStream(file));
+        try {
+            out.write(new java.lang.String("P5\n" + image.getWidth() + " " + image.getHeight() + "\n255\n").getBytes("US-ASCII"));
+            out.write(image.getRaster().getDataBuffer().getData());
+        } finally {
+            out.close();
+        }
+    } else if (!javax.imageio.ImageIO.write(image, "png", file)){
+        throw new Error("no PNG writer available");
+    }
+}
+
+// Passes columns where the gray value of a mask image is at least threshold (0 to 255, default 128). Options (all optional):
+//   offsetX, offsetY: block coordinates of the top left pixel, default the north west corner of the dimension extent
+//   scale: blocks per pixel, default 1. 2 stretches the image to twice its size
+// Columns outside the image do not pass
+function whereMask(path, threshold, options){
+    requireDefined("whereMask", arguments, 0, "the path");
+    if (threshold === undefined){
+        threshold = 128;
+    }
+    requireNumberValue("whereMask", arguments, threshold, "the threshold", 0, 255);
+    options = options || {};
+    var extent = dimension.getExtent();
+    var offsetX = (options.offsetX === undefined) ? extent.getX() * TILE_SIZE : options.offsetX;
+    var offsetY = (options.offsetY === undefined) ? extent.getY() * TILE_SIZE : options.offsetY;
+    var scale = (options.scale === undefined) ? 1 : options.scale;
+    requireNumberValue("whereMask", arguments, offsetX, "offsetX", -Infinity, Infinity);
+    requireNumberValue("whereMask", arguments, offsetY, "offsetY", -Infinity, Infinity);
+    requireNumberValue("whereMask", arguments, scale, "scale", 0.001, Infinity);
+
+    var mask;
+    try {
+        mask = readMaskImage(String(path));
+    } catch (e){
+        throw invalidArgument("whereMask", arguments, (e.message !== undefined) ? e.message : String(e));
+    }
+    var bounds = {xMin: Math.floor(offsetX), yMin: Math.floor(offsetY),
+        xMax: Math.ceil(offsetX + mask.width * scale) - 1, yMax: Math.ceil(offsetY + mask.height * scale) - 1};
+    return createPredicate(COST_REGION, function(column){
+        var px = Math.floor((column.x - offsetX) / scale), py = Math.floor((column.y - offsetY) / scale);
+        if (px < 0 || py < 0 || px >= mask.width || py >= mask.height){
+            return false;
+        }
+        return mask.values[py * mask.width + px] >= threshold;
+    }, function(tile_x, tile_y){
+        return (checkTileAgainstBounds(bounds, tile_x, tile_y) == TILE_NONE) ? TILE_NONE : TILE_SOME;
+    }, bounds);
+}
+
+
+
+// --------------------------------------------------------------------- //
+// ------------------------------- Undo -------------------------------- //
+// --------------------------------------------------------------------- //
+
+
+// Runs of actions can be recorded, so they can be undone later in the same session:
+//   var run = setTerrain.terrainName(sand).onlyOnTerrain(grass).recordUndo().go();  then  run.undo();  or  lastRun.undo();
+//   checkpoint("before beaches");  ...any number of runs...  restore("before beaches");
+// A recorded run stores the previous values of the columns it actually changes, per tile in typed arrays. Only what the action
+// writes is stored (e.g. the terrain for setTerrain), so recording costs memory in proportion to the number of changed columns,
+// and a run that changes nothing costs next to nothing.
+
+// Recorded runs that have not been undone, oldest first
+var undoHistory = [];
+
+// Named checkpoints, each holding the number of the first run recorded after it
+var undoCheckpoints = {};
+
+// Number given to the next recorded run
+var nextUndoNumber = 1;
+
+// Number of columns of a tile a record makes room for at first. The arrays grow as needed
+var UNDO_INITIAL_CAPACITY = 256;
+
+// Channels read and write one kind of value per column. Actions list the channels they change in undoChannels(). type is the
+// typed array the values are stored in, or null for values that are objects (terrains), which are stored as indices into a list
+function terrainChannel(){
+    return {
+        type: null,
+        read: function(x, y){
+            return dimension.getTerrainAt(x, y);
+        },
+        write: function(x, y, value){
+            dimension.setTerrainAt(x, y, value);
+        }
+    };
+}
+
+function heightChannel(){
+    return {
+        type: Float32Array,
+        read: function(x, y){
+            return dimension.getHeightAt(x, y);
+        },
+        write: function(x, y, value){
+            dimension.setHeightAt(x, y, value);
+        }
+    };
+}
+
+function waterLevelChannel(){
+    return {
+        type: Int32Array,
+        read: function(x, y){
+            return dimension.getWaterLevelAt(x, y);
+        },
+        write: function(x, y, value){
+            dimension.setWaterLevelAt(x, y, value);
+        }
+    };
+}
+
+function bitLayerChannel(layer){
+    return {
+        type: Uint8Array,
+        read: function(x, y){
+            return dimension.getBitLayerValueAt(layer, x, y) ? 1 : 0;
+        },
+        write: function(x, y, value){
+            dimension.setBitLayerValueAt(layer, x, y, value == 1);
+        }
+    };
+}
+
+function layerValueChannel(layer){
+    return {
+        type: Int32Array,
+        read: function(x, y){
+            return dimension.getLayerValueAt(layer, x, y);
+        },
+        write: function(x, y, value){
+            dimension.setLayerValueAt(layer, x, y, value);
+        }
+    };
+}
+
+// Returns a typed array of the same type with room for at least length values, holding the values of the given array
+function growTypedArray(array, length){
+    if (array.length >= length){
+        return array;
+    }
+    var grown = new array.constructor(Math.min(Math.max(length, 2 * array.length), TILE_SIZE * TILE_SIZE));
+    grown.set(array);
+    return grown;
+}
+
+// Creates the record of one run. capture(x, y) must be called before a column is changed and reads its values; keep() then
+// stores them, which the run only calls for columns that did change
+function createUndoRecord(label, channels){
+    var tiles = {};
+    var pending = {x: 0, y: 0, values: []};
+    // Terrains and other objects by channel, stored in the diffs as their index in this list
+    var objects = channels.map(function(){
+        return [];
+    });
+    var record = {
+        number: nextUndoNumber++,
+        label: label,
+        columnCount: 0,
+        undone: false,
+        capture: function(x, y){
+            pending.x = x;
+            pending.y = y;
+            for (var i = 0; i < channels.length; i++){
+                pending.values[i] = channels[i].read(x, y);
+            }
+        },
+        keep: function(){
+            var tileX = Math.floor(pending.x / TILE_SIZE), tileY = Math.floor(pending.y / TILE_SIZE);
+            var key = tileKey(tileX, tileY);
+            var diff = tiles[key];
+            if (diff === undefined){
+                diff = tiles[key] = {tileX: tileX, tileY: tileY, count: 0, offsets: new Uint16Array(UNDO_INITIAL_CAPACITY), values: []};
+                for (var i = 0; i < channels.length; i++){
+                    diff.values.push(new (channels[i].type || Int32Array)(UNDO_INITIAL_CAPACITY));
+                }
+            }
+            diff.offsets = growTypedArray(diff.offsets, diff.count + 1);
+            diff.offsets[diff.count] = (pending.x - tileX * TILE_SIZE) + (pending.y - tileY * TILE_SIZE) * TILE_SIZE;
+            for (var j = 0; j < channels.length; j++){
+                var value = pending.values[j];
+                if (channels[j].type === null){
+                    var index = objects[j].indexOf(value);
+                    if (index < 0){
+                        index = objects[j].length;
+                        objects[j].push(value);
+                    }
+                    value = index;
+                }
+                diff.values[j] = growTypedArray(diff.values[j], diff.count + 1);
+                diff.values[j][diff.count] = value;
+            }
+            diff.count++;
+            record.columnCount++;
+        },
+        // Writes the stored values back. Runs should be undone newest first, otherwise later changes to the same columns are lost
+        undo: function(){
+            if (record.undone){
+                print(record.label + " was already undone.");
+                return;
+            }
+            for (var key in tiles){
+                var diff = tiles[key];
+                for (var i = diff.count - 1; i >= 0; i--){
+                    var x = diff.tileX * TILE_SIZE + diff.offsets[i] % TILE_SIZE;
+                    var y = diff.tileY * TILE_SIZE + Math.floor(diff.offsets[i] / TILE_SIZE);
+                    for (var j = 0; j < channels.length; j++){
+                        channels[j].write(x, y, (channels[j].type === null) ? objects[j][diff.values[j][i]] : diff.values[j][i]);
+                    }
+                }
+            }
+            tiles = {};
+            objects = [];
+            record.undone = true;
+            // A run kept by the caller may have been dropped from the history by forgetUndo() already
+            var index = undoHistory.indexOf(record);
+            if (index >= 0){
+                undoHistory.splice(index, 1);
+            }
+            print("Undid " + record.label + " (" + record.columnCount + " columns).");
+        }
+    };
+    return record;
+}
+
+// Checks whether runs are recorded even without .recordUndo(), which is the case while a checkpoint exists
+function isUndoCheckpointSet(){
+    return Object.keys(undoCheckpoints).length > 0;
+}
+
+// Undoes the most recent recorded run that has not been undone yet
+var lastRun = {
+    undo: function(){
+        if (undoHistory.length == 0){
+            print("Nothing to undo. Use .recordUndo() or checkpoint(name) to record runs.");
+            return;
+        }
+        undoHistory[undoHistory.length - 1].undo();
+    }
+};
+
+// Sets a named checkpoint. From now on every run is recorded, so restore(name) can take the map back to this point
+function checkpoint(name){
+    requireDefined("checkpoint", arguments, 0, "the name");
+    undoCheckpoints[name] = nextUndoNumber;
+    print("Checkpoint \"" + name + "\" set. All following runs are recorded for undo.");
+}
+
+// Undoes every run recorded since the named checkpoint, newest first. The checkpoint stays, so it can be restored again
+function restore(name){
+    if (undoCheckpoints[name] === undefined){
+        throw invalidArgument("restore", arguments, "there is no checkpoint with this name. Checkpoints: " + describeValue(Object.keys(undoCheckpoints)));
+    }
+    while (undoHistory.length > 0 && undoHistory[undoHistory.length - 1].number >= undoCheckpoints[name]){
+        undoHistory[undoHistory.length - 1].undo();
+    }
+    print("Restored checkpoint \"" + name + "\".");
+}
+
+// Drops all recorded runs and checkpoints to free their memory. Nothing can be undone afterwards
+function forgetUndo(){
+    undoHistory = [];
+    undoCheckpoints = {};
+}
+
+
+
+// --------------------------------------------------------------------- //
+// ----------------------- Shared Filter Object ------------------------ //
+// --------------------------------------------------------------------- //
+
+
+// Filters, builder methods and the scan loop shared by every action object. An action only adds its own target
+// methods (e.g. layerName), resetTarget and validateTarget methods, an apply(x, y, column) method that writes a single column
+// and returns whether it changed anything, and an undoChannels method listing what apply changes (see Undo). See createAction below.
+var filterQuery = {
+
+    // Reset all filters, so every go() starts from a clean object
+    resetFilters: function(){
+        this.predicates = [];
+        this.filterCalls = [];
+        this.seedVar = null;
+        this.recordUndoVar = false;
+        this.maxSecondsVar = null;
+        this.maxChangesVar = null;
+        return this;
+    },
+
+    // Reset the filters and the target of the action (layer, terrain, level...)
+    reset: function(){
+        this.resetFilters();
+        this.resetTarget();
+        return this;
+    },
+
+    // Adds one or more predicates (see Filter Predicates). All predicates added to an action must pass
+    where: function(){
+        for (var i = 0; i < arguments.length; i++){
+            requirePredicate(this.actionName + ".where", arguments, i);
+        }
+        for (var j = 0; j < arguments.length; j++){
+            this.predicates.push(arguments[j]);
+        }
+        this.filterCalls.push({method: "where", args: Array.prototype.slice.call(arguments)});
+        return this;
+    },
+
+    // Creates a predicate with one of the predicate functions and adds it, inverted if requested. Invalid arguments are
+    // reported under the name of the action and method, e.g. "setLayer.withProbability(2): ..."
+    addPredicate: function(method, args, predicateFunction, invert){
+        var predicate;
+        try {
+            predicate = predicateFunction.apply(null, args);
+        } catch (e){
+            throw (e.invalidArgument === undefined) ? e : invalidArgument(this.actionName + "." + method, args, e.invalidArgument);
+        }
+        this.predicates.push(invert ? not(predicate) : predicate);
+        this.filterCalls.push({method: method, args: Array.prototype.slice.call(args)});
+        return this;
+    },
+
+    // Adds the filters of a preset (see Presets), e.g. .usePreset("beach"). Further filters can be added before and after
+    usePreset: function(name){
+        var preset = findPreset(this.actionName + ".usePreset", arguments);
+        for (var i = 0; i < preset.calls.length; i++){
+            this[preset.calls[i].method].apply(this, preset.calls[i].args);
+        }
+        return this;
+    },
+
+    // Saves the filters of the chain under a name instead of running it, so .usePreset(name) adds them to any action. Ends the
+    // chain like .go() without changing anything. See savePresets to keep presets in a file
+    savePreset: function(name){
+        requirePresetName(this.actionName + ".savePreset", arguments);
+        presets[name] = {calls: this.filterCalls.slice(), filters: null};
+        this.reset();
+    },
+
+    // Methods to set filters. These are shorthands for .where() with the predicate of the same name
+    onlyOnTerrain: function(){
+        return this.addPredicate("onlyOnTerrain", arguments, onTerrain);
+    },
+    exceptOnTerrain: function(){
+        return this.addPredicate("exceptOnTerrain", arguments, onTerrain, true);
+    },
+    onlyOnLayer: function(){
+        return this.addPredicate("onlyOnLayer", arguments, onLayer);
+    },
+    exceptOnLayer: function(){
+        return this.addPredicate("exceptOnLayer", arguments, onLayer, true);
+    },
+    onlyOnWater: function(){
+        return this.addPredicate("onlyOnWater", arguments, onWater);
+    },
+    exceptOnWater: function(){
+        return this.addPredicate("exceptOnWater", arguments, onWater, true);
+    },
+    onlyInBiome: function(){
+        return this.addPredicate("onlyInBiome", arguments, inBiome);
+    },
+    exceptInBiome: function(){
+        return this.addPredicate("exceptInBiome", arguments, inBiome, true);
+    },
+    aboveLevel: function(){
+        return this.addPredicate("aboveLevel", arguments, aboveLevel);
+    },
+    belowLevel: function(){
+        return this.addPredicate("belowLevel", arguments, belowLevel);
+    },
+    betweenLevels: function(){
+        return this.addPredicate("betweenLevels", arguments, betweenLevels);
+    },
+    aboveDegrees: function(){
+        return this.addPredicate("aboveDegrees", arguments, aboveDegrees);
+    },
+    belowDegrees: function(){
+        return this.addPredicate("belowDegrees", arguments, belowDegrees);
+    },
+    betweenDegrees: function(){
+        return this.addPredicate("betweenDegrees", arguments, betweenDegrees);
+    },
+    withProbability: function(){
+        return this.addPredicate("withProbability", arguments, withProbability);
+    },
+    withNoise: function(){
+        return this.addPredicate("withNoise", arguments, withNoise);
+    },
+    withMinSpacing: function(){
+        return this.addPredicate("withMinSpacing", arguments, withMinSpacing);
+    },
+
+    // Sets the seed for withProbability and withNoise, so running the same script again gives the same result
+    withSeed: function(seed){
+        requireInteger(this.actionName + ".withSeed", arguments, 0, "the seed", -Infinity, Infinity);
+        this.seedVar = seed;
+        return this;
+    },
+
+    // Called by go() before the scan with a seed for actions that pick values at random. Does nothing by default
+    prepareTarget: function(seed){
+    },
+
+    // Called by go() after the scan, for actions that hold back their changes. Does nothing by default
+    finishTarget: function(){
+    },
+
+    // Stops the run cleanly once it has taken the given number of seconds. Tiles that were not reached are left unchanged
+    maxSeconds: function(seconds){
+        requireNumber(this.actionName + ".maxSeconds", arguments, 0, "the number of seconds", 0, Infinity);
+        this.maxSecondsVar = seconds;
+        return this;
+    },
+
+    // Stops .go() cleanly once it has changed the given number of columns
+    maxChanges: function(count){
+        requireInteger(this.actionName + ".maxChanges", arguments, 0, "the number of changes", 1, Infinity);
+        this.maxChangesVar = count;
+        return this;
+    },
+
+    // Records the previous values of all columns this run changes, so it can be undone (see Undo)
+    recordUndo: function(){
+        this.recordUndoVar = true;
+        return this;
+    },
+
+    // Methods to filter by the surroundings of a column. The target can be a terrain, a bit layer, WATER, MAP_EDGE or a list of these
+    withinDistanceOf: function(){
+        return this.addPredicate("withinDistanceOf", arguments, withinDistanceOf);
+    },
+    fartherThan: function(){
+        return this.addPredicate("fartherThan", arguments, fartherThan);
+    },
+    onEdgeOf: function(){
+        return this.addPredicate("onEdgeOf", arguments, onEdgeOf);
+    },
+
+    // Methods to filter by the shape of the terrain around a column (see Surface Filters)
+    onRidge: function(){
+        return this.addPredicate("onRidge", arguments, onRidge);
+    },
+    inValley: function(){
+        return this.addPredicate("inValley", arguments, inValley);
+    },
+    localReliefAbove: function(){
+        return this.addPredicate("localReliefAbove", arguments, localReliefAbove);
+    },
+    localReliefBelow: function(){
+        return this.addPredicate("localReliefBelow", arguments, localReliefBelow);
+    },
+    convex: function(){
+        return this.addPredicate("convex", arguments, convex);
+    },
+    concave: function(){
+        return this.addPredicate("concave", arguments, concave);
+    },
+    facing: function(){
+        return this.addPredicate("facing", arguments, facing);
+    },
+    relativeHeight: function(){
+        return this.addPredicate("relativeHeight", arguments, relativeHeight);
+    },
+
+    // Methods to filter by the body of water a column belongs to (see Water Bodies)
+    onlyInOcean: function(){
+        return this.addPredicate("onlyInOcean", arguments, inOcean);
+    },
+    exceptInOcean: function(){
+        return this.addPredicate("exceptInOcean", arguments, inOcean, true);
+    },
+    onlyInLake: function(){
+        return this.addPredicate("onlyInLake", arguments, inLake);
+    },
+    exceptInLake: function(){
+        return this.addPredicate("exceptInLake", arguments, inLake, true);
+    },
+    onlyInRiver: function(){
+        return this.addPredicate("onlyInRiver", arguments, inRiver);
+    },
+    exceptInRiver: function(){
+        return this.addPredicate("exceptInRiver", arguments, inRiver, true);
+    },
+    onlyOnLava: function(){
+        return this.addPredicate("onlyOnLava", arguments, onLava);
+    },
+    exceptOnLava: function(){
+        return this.addPredicate("exceptOnLava", arguments, onLava, true);
+    },
+    waterDepthBetween: function(){
+        return this.addPredicate("waterDepthBetween", arguments, waterDepthBetween);
+    },
+
+    // Methods to limit the operation to a region of the map. All coordinates are in blocks, except onlyOnTiles which takes tile coordinates
+    withinRect: function(){
+        return this.addPredicate("withinRect", arguments, withinRect);
+    },
+    withinCircle: function(){
+        return this.addPredicate("withinCircle", arguments, withinCircle);
+    },
+    onlyOnTiles: function(){
+        return this.addPredicate("onlyOnTiles", arguments, onTiles);
+    },
+    withinSelection: function(){
+        return this.addPredicate("withinSelection", arguments, withinSelection);
+    },
+
+    // Methods to filter by a grayscale mask image (see Mask Images)
+    onlyWhereMask: function(){
+        return this.addPredicate("onlyWhereMask", arguments, whereMask);
+    },
+    exceptWhereMask: function(){
+        return this.addPredicate("exceptWhereMask", arguments, whereMask, true);
+    },
+
+    // Returns the block coordinates to scan: the extent of the dimension, narrowed down by region filters such as withinRect
+    scanBounds: function(){
+        var dimMeasure = dimension.getExtent();
+        var bounds = {
+            xMin: dimMeasure.getX() * TILE_SIZE,
+            yMin: dimMeasure.getY() * TILE_SIZE,
+            xMax: (dimMeasure.getX() + dimMeasure.getWidth()) * TILE_SIZE - 1,
+            yMax: (dimMeasure.getY() + dimMeasure.getHeight()) * TILE_SIZE - 1
+        };
+        for (var i = 0; i < this.predicates.length; i++){
+            if (this.predicates[i].bounds !== null){
+                bounds = intersectBounds(bounds, this.predicates[i].bounds);
+            }
+        }
+        return bounds;
+    },
+
+    // Returns the filters set by the user, ordered from cheapest to most expensive
+    compileFilters: function(){
+        return sortByCost(this.predicates.concat(this.targetPredicates()));
+    },
+
+    // Filters implied by the target of the action, e.g. replaceTerrain only matches its source terrains. None by default
+    targetPredicates: function(){
+        return [];
+    },
+
+    // Looks for filters that rule each other out, so that no column can ever match. Returns a list of warnings
+    findContradictions: function(){
+        var warnings = [];
+        var onlyTerrains = null, exceptTerrains = [], onlyLayerLists = [], exceptLayers = [], onlyBiomes = null, exceptBiomes = [];
+        var onlyWater = false, exceptWater = false, waterRequiredBy = "onlyOnWater";
+        var minLevel = -Infinity, maxLevel = Infinity, minDegrees = 0, maxDegrees = 90;
+        // Whether the tightest bounds come from one sided filters (aboveLevel, belowLevel, aboveDegrees, belowDegrees)
+        var minLevelOneSided = false, maxLevelOneSided = false, minDegreesOneSided = false, maxDegreesOneSided = false;
+        var keepIfIn = function(list){
+            return function(value){
+                return list.indexOf(value) >= 0;
+            };
+        };
+        var dropIfIn = function(list){
+            return function(value){
+                return list.indexOf(value) < 0;
+            };
+        };
+        // Below and above filters were combined with OR before anyOf() existed, so old scripts get pointed to it
+        var anyOfHint = function(below, above){
+            return " (filters are combined with AND, use .where(anyOf(" + below + ", " + above + ")) to match either)";
+        };
+
+        for (var i = 0; i < this.predicates.length; i++){
+            var info = this.predicates[i].info;
+            if (info === null){
+                continue;
+            }
+            if (info.type == "water"){
+                onlyWater = onlyWater || !info.negated;
+                exceptWater = exceptWater || info.negated;
+            } else if (info.type == "waterBody" && !info.negated){
+                // Every water body filter needs flooded columns
+                if (!onlyWater){
+                    waterRequiredBy = info.name;
+                }
+                onlyWater = true;
+            } else if (info.type == "terrain"){
+                if (info.negated){
+                    exceptTerrains = exceptTerrains.concat(info.values);
+                } else {
+                    onlyTerrains = (onlyTerrains === null) ? info.values : onlyTerrains.filter(keepIfIn(info.values));
+                }
+            } else if (info.type == "biome"){
+                if (info.negated){
+                    exceptBiomes = exceptBiomes.concat(info.values);
+                } else {
+                    onlyBiomes = (onlyBiomes === null) ? info.values : onlyBiomes.filter(keepIfIn(info.values));
+                }
+            } else if (info.type == "layer"){
+                // A value range excludes only part of a layer, and a range from 0 also lets columns without the layer through
+                if (info.negated && !info.partial){
+                    exceptLayers = exceptLayers.concat(info.values);
+                } else if (!info.negated && info.min >= 1){
+                    onlyLayerLists.push(info.values);
+                }
+            } else if (info.type == "level" && !info.negated){
+                if (info.min > minLevel){
+                    minLevel = info.min;
+                    minLevelOneSided = (info.max == Infinity);
+                }
+                if (info.max < maxLevel){
+                    maxLevel = info.max;
+                    maxLevelOneSided = (info.min == -Infinity);
+                }
+            } else if (info.type == "degrees" && !info.negated){
+                if (info.min > minDegrees){
+                    minDegrees = info.min;
+                    minDegreesOneSided = (info.max == 90);
+                }
+                if (info.max < maxDegrees){
+                    maxDegrees = info.max;
+                    maxDegreesOneSided = (info.min == 0);
+                }
+            } else if (info.type == "probability" && !info.negated && info.value <= 0){
+                warnings.push("withProbability(0) never lets a column through");
+            }
+        }
+
+        if (onlyWater && exceptWater){
+            warnings.push(waterRequiredBy + " and exceptOnWater are both set");
+        }
+        if (onlyTerrains !== null && onlyTerrains.filter(dropIfIn(exceptTerrains)).length == 0){
+            warnings.push("no terrain passes all terrain filters (onlyOnTerrain / exceptOnTerrain)");
+        }
+        if (onlyBiomes !== null && onlyBiomes.filter(dropIfIn(exceptBiomes)).length == 0){
+            warnings.push("no biome passes all biome filters (onlyInBiome / exceptInBiome)");
+        }
+        for (var j = 0; j < onlyLayerLists.length; j++){
+            if (onlyLayerLists[j].filter(dropIfIn(exceptLayers)).length == 0){
+                warnings.push("every layer required by onlyOnLayer(" + onlyLayerLists[j].map(describeValue).join(", ") + ") is excluded by exceptOnLayer");
+            }
+        }
+        if (minLevel > maxLevel){
+            warnings.push("the level filters do not overlap: at least " + minLevel + " and at most " + maxLevel
+                + ((minLevelOneSided && maxLevelOneSided) ? anyOfHint("belowLevel(" + maxLevel + ")", "aboveLevel(" + minLevel + ")") : ""));
+        } else if (minLevel > dimension.getMaxHeight() - 1 || maxLevel < dimension.getMinHeight()){
+            warnings.push("the level filters (" + minLevel + " to " + maxLevel + ") lie outside the build height of the dimension ("
+                + dimension.getMinHeight() + " to " + (dimension.getMaxHeight() - 1) + ")");
+        }
+        if (minDegrees > maxDegrees){
+            warnings.push("the degree filters do not overlap: at least " + minDegrees + " and at most " + maxDegrees + " degrees"
+                + ((minDegreesOneSided && maxDegreesOneSided) ? anyOfHint("belowDegrees(" + maxDegrees + ")", "aboveDegrees(" + minDegrees + ")") : ""));
+        }
+        var bounds = this.scanBounds();
+        if (bounds.xMin > bounds.xMax || bounds.yMin > bounds.yMax){
+            warnings.push("the region filters (withinRect / withinCircle) lie outside the map");
+        }
+        return warnings;
+    },
+
+    // Walks all tiles and columns within the scan bounds and calls onMatch(column) for every column that passes the filters.
+    // onMatch can return false to stop the scan before that column, which is then not counted as matched. Returns the number of
+    // tiles and columns that were scanned and matched, and why the scan stopped early if it did
+    scan: function(onMatch){
+        var startTime = Date.now();
+        var warnings = this.findContradictions();
+        for (var i = 0; i < warnings.length; i++){
+            print("Warning: " + this.actionName + ": " + warnings[i] + ". No column can match.");
+        }
+
+        var predicates = this.compileFilters();
+        var column = createColumn();
+        prepareAll(predicates, createRun(this.seedVar));
+        var stats = {tiles: 0, skippedTiles: 0, columns: 0, matched: 0, seconds: 0, stopped: null};
+
+        // Get the coordinates to scan. The extent is given in tiles and may start at negative coordinates
+        var bounds = this.scanBounds();
+        var tileXMin = Math.floor(bounds.xMin / TILE_SIZE), tileXMax = Math.floor(bounds.xMax / TILE_SIZE);
+        var tileYMin = Math.floor(bounds.yMin / TILE_SIZE), tileYMax = Math.floor(bounds.yMax / TILE_SIZE);
+        var totalTiles = 0;
+        for (var countY = tileYMin; countY <= tileYMax; countY++){
+            for (var countX = tileXMin; countX <= tileXMax; countX++){
+                if (dimension.isTilePresent(countX, countY)){
+                    totalTiles++;
+                }
+            }
+        }
+        var progress = createProgress(this.actionName, totalTiles);
+        var maxSeconds = this.maxSecondsVar;
+
+        // Loop through the tiles that exist, then through the columns of each tile
+        scanTiles:
+        for (var tileY = tileYMin; tileY <= tileYMax; tileY++){
+            for (var tileX = tileXMin; tileX <= tileXMax; tileX++){
+                if (!dimension.isTilePresent(tileX, tileY)){
+                    continue;
+                }
+                if (maxSeconds !== null && Date.now() - startTime > maxSeconds * 1000){
+                    stats.stopped = "the time limit of " + maxSeconds + " s was reached";
+                    break scanTiles;
+                }
+                var tilePredicates = predicatesForTile(predicates, tileX, tileY);
+                if (tilePredicates === null){
+                    stats.skippedTiles++;
+                    progress.tileDone();
+                    continue;
+                }
+                stats.tiles++;
+
+                var xStart = Math.max(bounds.xMin, tileX * TILE_SIZE), xEnd = Math.min(bounds.xMax, tileX * TILE_SIZE + TILE_SIZE - 1);
+                var yStart = Math.max(bounds.yMin, tileY * TILE_SIZE), yEnd = Math.min(bounds.yMax, tileY * TILE_SIZE + TILE_SIZE - 1);
+                for (var y = yStart; y <= yEnd; y++){
+                    for (var x = xStart; x <= xEnd; x++){
+                        column.moveTo(x, y);
+                        stats.columns++;
+                        if (passesAll(tilePredicates, column)){
+                            if (onMatch(column) === false){
+                                stats.stopped = "the run was stopped";
+                                break scanTiles;
+                            }
+                            stats.matched++;
+                        }
+                    }
+                }
+                progress.tileDone();
+            }
+        }
+
+        stats.seconds = (Date.now() - startTime) / 1000;
+        return stats;
+    },
+
+    // Method to apply the action to every column that matches the filters. Returns the undo record of the run if it was recorded, otherwise null
+    go: function(){
+        var action = this;
+        try {
+            this.validateTarget();
+            this.prepareTarget((this.seedVar === null) ? randomSeed() : deriveSeed(this.seedVar, 0));
+        } catch (e){
+            this.reset();
+            throw e;
+        }
+        var record = (this.recordUndoVar || isUndoCheckpointSet()) ? createUndoRecord(this.actionName + " run " + nextUndoNumber, this.undoChannels()) : null;
+        var changed = 0, maxChanges = this.maxChangesVar, stats;
+        try {
+            stats = this.scan(function(column){
+                // Stop at the next matching column after the limit, so a run that reaches it on its last column is not reported as stopped
+                if (maxChanges !== null && changed >= maxChanges){
+                    return false;
+                }
+                if (record !== null){
+                    record.capture(column.x, column.y);
+                }
+                if (action.apply(column.x, column.y, column)){ // Apply the action if all conditions are met
+                    changed++;
+                    if (record !== null){
+                        record.keep();
+                    }
+                }
+            });
+        } finally {
+            // Even if the scan fails partway, write what is held back, keep the changes made so far for undo and leave the action clean
+            try {
+                this.finishTarget();
+            } finally {
+                if (record !== null){
+                    undoHistory.push(record);
+                }
+                // Reset properties of the action object
+                this.reset();
+            }
+        }
+        if (stats.stopped !== null && maxChanges !== null && changed >= maxChanges){
+            stats.stopped = "the limit of " + maxChanges + " changed columns was reached";
+        }
+
+        if (isReporting("summary")){
+            printScanSummary(stats);
+            print("Changed " + changed + " of the " + stats.matched + " matching columns.");
+        }
+        if (reporting.banner && isReporting("summary")){
+            print("Execution complete.");
+            print("For updates and support, visit: https://github.com/BurgerXXL420/WorldPainter-CustomFilterScript.");
+            print("Script by BurgerXXL.");
+            print("Thank you for using this tool!");
+        }
+        return record;
+    },
+
+    // Counts the columns that match the filters without changing anything. Returns the number of matching columns
+    count: function(){
+        var stats;
+        try {
+            stats = this.scan(function(){});
+        } finally {
+            this.reset();
+        }
+        if (isReporting("summary")){
+            printScanSummary(stats);
+        }
+        return stats.matched;
+    },
+
+    // Evaluates the filters without changing the world and prints how many columns would be touched, broken down by terrain,
+    // height band and tile. Options (all optional):
+    //   bandSize: height of the bands in the breakdown, default 16
+    //   maxRows: number of rows printed per breakdown, default 20
+    //   preview: true to mark the matches with the Annotations layer, so they can be inspected in the editor
+    //   previewColor: Annotations color (1 to 15) used for the preview, default 14
+    //   previewLayer: a bit layer to mark the matches with instead of the Annotations layer
+    // The preview is recorded like a run (see Undo), so preview.undo() or lastRun.undo() clears it again.
+    // Returns the counts as an object {matched, columns, tiles, byTerrain, byHeight, byTile, preview}, preview being the
+    // recorded preview or null
+    dryRun: function(options){
+        var call = this.actionName + ".dryRun", args = arguments;
+        options = options || {};
+        var bandSize = (options.bandSize === undefined) ? 16 : options.bandSize;
+        var maxRows = (options.maxRows === undefined) ? 20 : options.maxRows;
+        var previewColor = (options.previewColor === undefined) ? 14 : options.previewColor;
+        var previewLayer = (options.previewLayer === undefined) ? null : options.previewLayer;
+        try {
+            requireIntegerValue(call, args, bandSize, "bandSize", 1, Infinity);
+            requireIntegerValue(call, args, maxRows, "maxRows", 1, Infinity);
+            requireIntegerValue(call, args, previewColor, "previewColor", 1, 15);
+            if (previewLayer !== null && (!isLayer(previewLayer) || !isBitLayer(previewLayer))){
+                throw invalidArgument(call, args, "previewLayer must be an on/off (bit) layer, got " + describeValue(previewLayer));
+            }
+        } catch (e){
+            this.reset();
+            throw e;
+        }
+        var annotations = org.pepsoft.worldpainter.layers.Annotations.INSTANCE;
+        var byTerrain = {}, byHeight = {}, byTile = {};
+        var preview = null;
+        if (previewLayer !== null || options.preview){
+            preview = createUndoRecord(this.actionName + " preview " + nextUndoNumber, [(previewLayer !== null) ? bitLayerChannel(previewLayer) : layerValueChannel(annotations)]);
+            undoHistory.push(preview);
+        }
+
+        var stats;
+        try {
+            stats = this.scan(function(column){
+                var terrain = String(dimension.getTerrainAt(column.x, column.y));
+                var band = Math.floor(column.height() / bandSize) * bandSize;
+                var bandName = band + " to " + (band + bandSize - 1);
+                var tile = tileKey(Math.floor(column.x / TILE_SIZE), Math.floor(column.y / TILE_SIZE));
+                byTerrain[terrain] = (byTerrain[terrain] || 0) + 1;
+                byHeight[bandName] = (byHeight[bandName] || 0) + 1;
+                byTile[tile] = (byTile[tile] || 0) + 1;
+
+                if (preview !== null){
+                    preview.capture(column.x, column.y);
+                    if (previewLayer !== null && !dimension.getBitLayerValueAt(previewLayer, column.x, column.y)){
+                        dimension.setBitLayerValueAt(previewLayer, column.x, column.y, true);
+                        preview.keep();
+                    } else if (previewLayer === null && dimension.getLayerValueAt(annotations, column.x, column.y) != previewColor){
+                        dimension.setLayerValueAt(annotations, column.x, column.y, previewColor);
+                        preview.keep();
+                    }
+                }
+            });
+        } catch (e){
+            // Clear a partial preview, so a failed dry run leaves neither marks in the world nor a half recorded preview
+            if (preview !== null){
+                preview.undo();
+            }
+            throw e;
+        } finally {
+            this.reset();
+        }
+
+        print("Dry run, nothing was changed" + ((preview !== null) ? " except the preview layer. Clear it with lastRun.undo()." : "."));
+        printScanSummary(stats);
+        printBreakdown("By terrain", byTerrain, stats.matched, maxRows);
+        printBreakdown("By height", byHeight, stats.matched, maxRows);
+        printBreakdown("By tile", byTile, stats.matched, maxRows);
+        return {matched: stats.matched, columns: stats.columns, tiles: stats.tiles, byTerrain: byTerrain, byHeight: byHeight, byTile: byTile, preview: preview};
+    },
+
+    // Evaluates the filters without changing the world and saves the matching columns as a black and white image covering the
+    // dimension extent: white where a column matches. The image is a PGM if the path ends with .pgm, otherwise a PNG (see Mask Images)
+    exportMask: function(path){
+        try {
+            requireDefined(this.actionName + ".exportMask", arguments, 0, "the path");
+        } catch (e){
+            this.reset();
+            throw e;
+        }
+        var extent = dimension.getExtent();
+        var xOrigin = extent.getX() * TILE_SIZE, yOrigin = extent.getY() * TILE_SIZE;
+        var image = new java.awt.image.BufferedImage(extent.getWidth() * TILE_SIZE, extent.getHeight() * TILE_SIZE, java.awt.image.BufferedImage.TYPE_BYTE_GRAY);
+        var raster = image.getRaster();
+        var stats;
+        try {
+            stats = this.scan(function(column){
+                raster.setSample(column.x - xOrigin, column.y - yOrigin, 0, 255);
+            });
+        } finally {
+            this.reset();
+        }
+
+        writeMaskImage(String(path), image);
+        printScanSummary(stats);
+        print("Saved the mask (" + image.getWidth() + " x " + image.getHeight() + " pixels, top left at block " + xOrigin + ", " + yOrigin + ") to " + path + ".");
+        return stats.matched;
+    }
+};
+
+// Creates an action object that inherits all filters from filterQuery and adds the given target methods. The name is used in messages.
+// validateTarget() is called before .go() and throws if a required target method was not called
+function createAction(actionName, actionMethods){
+    var action = Object.create(filterQuery);
+    action.actionName = actionName;
+    for (var key in actionMethods){
+        action[key] = actionMethods[key];
+    }
+    return action.reset();
+}
+
+
+
+// --------------------------------------------------------------------- //
+// ------------------------ Objects for Layers ------------------------- //
+// --------------------------------------------------------------------- //
+
+
+// Sets a bit layer (e.g. a custom object layer) on every matching column
+var setLayer = createAction("setLayer", {
+    resetTarget: function(){
+        this.layerNameVar = null;
+    },
+    validateTarget: function(){
+        requireTarget(this, "layerName", this.layerNameVar);
+    },
+    layerName: function(arg){
+        this.layerNameVar = toLayer(this.actionName + ".layerName", arguments, 0, true);
+        return this;
+    },
+    undoChannels: function(){
+        return [bitLayerChannel(this.layerNameVar)];
+    },
+    apply: function(x, y){
+        if (dimension.getBitLayerValueAt(this.layerNameVar, x, y)){
+            return false;
+        }
+        dimension.setBitLayerValueAt(this.layerNameVar, x, y, true);
+        return true;
+    }
+});
+
+// Removes a layer from every matching column. Layers with values (Frost, Trees...) are set back to their default value
+var removeLayer = createAction("removeLayer", {
+    resetTarget: function(){
+        this.layerNameVar = null;
+    },
+    validateTarget: function(){
+        requireTarget(this, "layerName", this.layerNameVar);
+    },
+    layerName: function(arg){
+        this.layerNameVar = toLayer(this.actionName + ".layerName", arguments, 0, false);
+        return this;
+    },
+    undoChannels: function(){
+        return [isBitLayer(this.layerNameVar) ? bitLayerChannel(this.layerNameVar) : layerValueChannel(this.layerNameVar)];
+    },
+    apply: function(x, y){
+        if (isBitLayer(this.layerNameVar)){
+            if (!dimension.getBitLayerValueAt(this.layerNameVar, x, y)){
+                return false;
+            }
+            dimension.setBitLayerValueAt(this.layerNameVar, x, y, false);
+            return true;
+        }
+        var defaultValue = this.layerNameVar.getDefaultValue();
+        if (dimension.getLayerValueAt(this.layerNameVar, x, y) == defaultValue){
+            return false;
+        }
+        dimension.setLayerValueAt(this.layerNameVar, x, y, defaultValue);
+        return true;
+    }
+});
+
+// Number of noise octaves used by valueByNoise
+var LAYER_NOISE_OCTAVES = 3;
+
+// Ways setLayerValue combines the new value with the value a column already has
+var LAYER_VALUE_MODES = ["set", "add", "subtract", "multiply"];
+
+// Sets a layer with values (e.g. Frost, Trees or a custom layer with intensity) on every matching column, from 0 to 15 for
+// nibble layers. The value can be fixed (value) or follow the height, slope or a noise pattern of each column (valueByHeight,
+// valueBySlope, valueByNoise), and can replace, raise, lower or scale the existing value (mode)
+var setLayerValue = createAction("setLayerValue", {
+    resetTarget: function(){
+        this.layerNameVar = null;
+        this.valueVar = null;
+        this.modeVar = "set";
+    },
+    validateTarget: function(){
+        requireTarget(this, "layerName", this.layerNameVar);
+        if (this.valueVar === null){
+            throw new Error(this.actionName + ": .value(), .valueByHeight(), .valueBySlope() or .valueByNoise() was not called or was called without a value. One of them is required before .go()");
+        }
+        var maxValue = maxLayerValue(this.layerNameVar);
+        var call = this.actionName + "." + this.valueVar.method;
+        requireIntegerValue(call, this.valueVar.args, this.valueVar.low, "the value for " + describeValue(this.layerNameVar), 0, maxValue);
+        requireIntegerValue(call, this.valueVar.args, this.valueVar.high, "the value for " + describeValue(this.layerNameVar), 0, maxValue);
+    },
+    layerName: function(arg){
+        this.layerNameVar = toLayer(this.actionName + ".layerName", arguments, 0, false);
+        if (isBitLayer(this.layerNameVar)){
+            throw invalidArgument(this.actionName + ".layerName", arguments, describeValue(arg) + " is an on/off (bit) layer. Use setLayer or removeLayer for it");
+        }
+        return this;
+    },
+    value: function(arg){
+        requireInteger(this.actionName + ".value", arguments, 0, "the value", 0, 255);
+        this.valueVar = {method: "value", args: arguments, source: "fixed", low: arg, high: arg};
+        return this;
+    },
+    // The value goes from value1 at level1 to value2 at level2 and stays at value1 below and value2 above, e.g.
+    // valueByHeight(64, 120, 15, 0) for trees thinning out towards the mountain tops
+    valueByHeight: function(level1, level2, value1, value2){
+        this.valueVar = this.valueRamp("valueByHeight", arguments, "height", "level", -Infinity, Infinity);
+        return this;
+    },
+    // The same by slope in degrees, e.g. valueBySlope(20, 45, 0, 15) for more of the layer on steeper slopes
+    valueBySlope: function(degrees1, degrees2, value1, value2){
+        this.valueVar = this.valueRamp("valueBySlope", arguments, "slope", "degrees", 0, 90);
+        return this;
+    },
+    // The value follows a noise pattern with features about scale blocks across, from value1 to value2
+    valueByNoise: function(scale, value1, value2){
+        var call = this.actionName + ".valueByNoise";
+        requireNumber(call, arguments, 0, "the scale", 1, Infinity);
+        requireInteger(call, arguments, 1, "value 1", 0, 255);
+        requireInteger(call, arguments, 2, "value 2", 0, 255);
+        this.valueVar = {method: "valueByNoise", args: arguments, source: "noise", scale: scale, low: value1, high: value2};
+        return this;
+    },
+    valueRamp: function(method, args, source, what, min, max){
+        var call = this.actionName + "." + method;
+        requireNumber(call, args, 0, what + " 1", min, max);
+        requireNumber(call, args, 1, what + " 2", min, max);
+        if (args[0] == args[1]){
+            throw invalidArgument(call, args, what + " 1 and " + what + " 2 must differ");
+        }
+        requireInteger(call, args, 2, "value 1", 0, 255);
+        requireInteger(call, args, 3, "value 2", 0, 255);
+        return {method: method, args: args, source: source, from: args[0], to: args[1], low: args[2], high: args[3]};
+    },
+    // "set" (default) replaces the value, "add" and "subtract" change it by the new value, "multiply" scales it by the new value
+    // as a share of the maximum (for nibble layers 15 keeps the value, 8 roughly halves it)
+    mode: function(arg){
+        if (LAYER_VALUE_MODES.indexOf(arg) < 0){
+            throw invalidArgument(this.actionName + ".mode", arguments, "the mode must be one of " + LAYER_VALUE_MODES.map(describeValue).join(", "));
+        }
+        this.modeVar = arg;
+        return this;
+    },
+    prepareTarget: function(seed){
+        this.targetSeedVar = seed;
+    },
+    undoChannels: function(){
+        return [layerValueChannel(this.layerNameVar)];
+    },
+    valueAt: function(x, y, column){
+        var source = this.valueVar;
+        if (source.source == "fixed"){
+            return source.low;
+        }
+        var share;
+        if (source.source == "noise"){
+            share = stretchedNoise(this.targetSeedVar, x, y, source.scale, LAYER_NOISE_OCTAVES);
+        } else {
+            var value = (source.source == "height") ? column.height() : Math.atan(column.slope()) * 180 / Math.PI;
+            share = Math.max(0, Math.min(1, (value - source.from) / (source.to - source.from)));
+        }
+        return Math.round(source.low + share * (source.high - source.low));
+    },
+    apply: function(x, y, column){
+        var value = this.valueAt(x, y, column);
+        var current = dimension.getLayerValueAt(this.layerNameVar, x, y);
+        if (this.modeVar != "set"){
+            var maxValue = maxLayerValue(this.layerNameVar);
+            if (this.modeVar == "add"){
+                value = Math.min(maxValue, current + value);
+            } else if (this.modeVar == "subtract"){
+                value = Math.max(0, current - value);
+            } else {
+                value = Math.round(current * value / maxValue);
+            }
+        }
+        if (value == current){
+            return false;
+        }
+        dimension.setLayerValueAt(this.layerNameVar, x, y, value);
+        return true;
+    }
+});
+
+// Moves the coverage of one or more bit layers onto another bit layer in a single pass, e.g. convertLayer.from(roads).to(paths).
+// Only columns with a source layer match. keepSource() copies the coverage instead of moving it
+var convertLayer = createAction("convertLayer", {
+    resetTarget: function(){
+        this.fromVar = null;
+        this.toVar = null;
+        this.keepSourceVar = false;
+    },
+    validateTarget: function(){
+        requireTarget(this, "from", this.fromVar);
+        requireTarget(this, "to", this.toVar);
+        if (this.fromVar.indexOf(this.toVar) >= 0){
+            throw new Error(this.actionName + ": " + describeValue(this.toVar) + " is both a source (.from()) and the target (.to())");
+        }
+    },
+    from: function(){
+        this.fromVar = toArgumentList(this.actionName + ".from", arguments, toLayer);
+        return this;
+    },
+    to: function(arg){
+        this.toVar = toLayer(this.actionName + ".to", arguments, 0, true);
+        return this;
+    },
+    keepSource: function(){
+        this.keepSourceVar = true;
+        return this;
+    },
+    targetPredicates: function(){
+        return (this.fromVar === null) ? [] : [onLayer.apply(null, this.fromVar)];
+    },
+    undoChannels: function(){
+        return this.fromVar.concat([this.toVar]).map(bitLayerChannel);
+    },
+    apply: function(x, y){
+        var changed = !dimension.getBitLayerValueAt(this.toVar, x, y);
+        if (changed){
+            dimension.setBitLayerValueAt(this.toVar, x, y, true);
+        }
+        if (!this.keepSourceVar){
+            for (var i = 0; i < this.fromVar.length; i++){
+                if (dimension.getBitLayerValueAt(this.fromVar[i], x, y)){
+                    dimension.setBitLayerValueAt(this.fromVar[i], x, y, false);
+                    changed = true;
+                }
+            }
+        }
+        return changed;
+    }
+});
+
+
+
+// --------------------------------------------------------------------- //
+// ----------------------- Objects for Terrain ------------------------- //
+// --------------------------------------------------------------------- //
+
+
+// Noise scale in blocks of the jitter that blends the boundaries of byHeight and bySlope bands
+var BAND_BLEND_SCALE = 16;
+
+// Picks the terrain of the last band whose start is at or below value. Values below the first band get the first terrain
+function terrainForBand(bands, value){
+    var terrain = bands[0].terrain;
+    for (var i = 1; i < bands.length && bands[i].value <= value; i++){
+        terrain = bands[i].terrain;
+    }
+    return terrain;
+}
+
+// Checks the bands of byHeight and bySlope: the starts must be in ascending order and the blend width a number of at least 0
+function toBands(call, args, what, min, max){
+    var bands = toTerrainPairs(call, args, 1, "the " + what, min, max);
+    for (var i = 1; i < bands.length; i++){
+        if (bands[i].value <= bands[i - 1].value){
+            throw invalidArgument(call, args, "the bands must be sorted by " + what + ", but entry " + (i + 1) + " starts at "
+                + bands[i].value + " after entry " + i + " at " + bands[i - 1].value);
+        }
+    }
+    if (args[1] !== undefined){
+        requireNumber(call, args, 1, "the blend width", 0, Infinity);
+    }
+    return bands;
+}
+
+// Sets the terrain type of every matching column. The terrain can be a single one (terrainName), a weighted random mix
+// (terrainMix) or bands chosen by the height or slope of the column (byHeight, bySlope). The last of these calls wins
+var setTerrain = createAction("setTerrain", {
+    resetTarget: function(){
+        this.terrainNameVar = null;
+        this.paletteVar = null;
+    },
+    validateTarget: function(){
+        if (this.terrainNameVar === null && this.paletteVar === null){
+            throw new Error(this.actionName + ": .terrainName(), .terrainMix(), .byHeight() or .bySlope() was not called or was called without a value. One of them is required before .go()");
+        }
+    },
+    terrainName: function(arg){
+        this.terrainNameVar = toTerrain(this.actionName + ".terrainName", arguments, 0);
+        this.paletteVar = null;
+        return this;
+    },
+    // Picks a terrain at random for every column, e.g. [[grass, 6], [podzol, 3], [dirt, 1]] for 60% grass, 30% podzol and 10% dirt
+    terrainMix: function(weights){
+        var call = this.actionName + ".terrainMix";
+        var entries = toTerrainPairs(call, arguments, 0, "the weight", 0, Infinity);
+        var total = 0;
+        for (var i = 0; i < entries.length; i++){
+            total += entries[i].value;
+        }
+        if (total == 0){
+            throw invalidArgument(call, arguments, "at least one weight must be more than 0");
+        }
+        this.paletteVar = {type: "mix", entries: entries, total: total};
+        this.terrainNameVar = null;
+        return this;
+    },
+    // Picks the terrain by the height of the column, e.g. [[0, sand], [70, grass], [140, stone]]: each terrain from its level up
+    // to the start of the next band. blend (optional, in blocks) shifts the boundaries up and down in noise-shaped patches
+    byHeight: function(bands, blend){
+        this.paletteVar = {type: "height", bands: toBands(this.actionName + ".byHeight", arguments, "level", -Infinity, Infinity), blend: blend || 0};
+        this.terrainNameVar = null;
+        return this;
+    },
+    // Picks the terrain by the slope of the column in degrees, e.g. [[0, grass], [35, stone]]. blend is in degrees
+    bySlope: function(bands, blend){
+        this.paletteVar = {type: "slope", bands: toBands(this.actionName + ".bySlope", arguments, "slope in degrees", 0, 90), blend: blend || 0};
+        this.terrainNameVar = null;
+        return this;
+    },
+    prepareTarget: function(seed){
+        this.targetSeedVar = seed;
+    },
+    undoChannels: function(){
+        return [terrainChannel()];
+    },
+    terrainAt: function(x, y, column){
+        var palette = this.paletteVar;
+        if (palette === null){
+            return this.terrainNameVar;
+        }
+        if (palette.type == "mix"){
+            var pick = hashCoordinates(this.targetSeedVar, x, y) * palette.total;
+            for (var i = 0; i < palette.entries.length - 1; i++){
+                pick -= palette.entries[i].value;
+                if (pick < 0){
+                    return palette.entries[i].terrain;
+                }
+            }
+            return palette.entries[palette.entries.length - 1].terrain;
+        }
+        var value = (palette.type == "height") ? column.height() : Math.atan(column.slope()) * 180 / Math.PI;
+        if (palette.blend > 0){
+            value += (stretchedNoise(this.targetSeedVar, x, y, BAND_BLEND_SCALE, 2) * 2 - 1) * palette.blend;
+        }
+        return terrainForBand(palette.bands, value);
+    },
+    apply: function(x, y, column){
+        var terrain = this.terrainAt(x, y, column);
+        if (dimension.getTerrainAt(x, y) == terrain){
+            return false;
+        }
+        dimension.setTerrainAt(x, y, terrain);
+        return true;
+    }
+});
+
+// Replaces several terrains at once, e.g. replaceTerrain.mapping({SAND: "RED_SAND", GRASS: "PODZOL"}) to turn a desert into a mesa.
+// The keys are Terrain names, the values terrain names or loaded terrains. For loaded terrains as sources, pass a list of
+// pairs instead: .mapping([[my_sand, my_red_sand], [my_grass, my_podzol]]). Only columns with a source terrain match
+var replaceTerrain = createAction("replaceTerrain", {
+    resetTarget: function(){
+        this.mappingVar = null;
+    },
+    validateTarget: function(){
+        requireTarget(this, "mapping", this.mappingVar);
+    },
+    mapping: function(table){
+        var call = this.actionName + ".mapping";
+        var args = arguments;
+        requireDefined(call, args, 0, "the mapping");
+        var pairs = [];
+        if (Array.isArray(table)){
+            pairs = table;
+        } else if (typeof table === "object" && !isLayer(table) && !isPredicate(table)){
+            for (var name in table){
+                pairs.push([name, table[name]]);
+            }
+        }
+        if (pairs.length == 0){
+            throw invalidArgument(call, args, "expected a table such as {SAND: \"RED_SAND\"} or a list of pairs such as [[sand, red_sand]]");
+        }
+        var sources = [], targets = [];
+        for (var i = 0; i < pairs.length; i++){
+            if (!Array.isArray(pairs[i]) || pairs[i].length != 2){
+                throw invalidArgument(call, args, "entry " + (i + 1) + " must be a pair such as [sand, red_sand], got " + describeValue(pairs[i]));
+            }
+            for (var j = 0; j < 2; j++){
+                if (pairs[i][j] === undefined || pairs[i][j] === null){
+                    throw invalidArgument(call, args, "a terrain of entry " + (i + 1) + " is " + pairs[i][j]
+                        + ". Check that the variable is spelled correctly and loaded before it is used");
+                }
+            }
+            var source = toTerrainValue(call, args, pairs[i][0], "the source of entry " + (i + 1));
+            if (sources.indexOf(source) >= 0){
+                throw invalidArgument(call, args, describeValue(source) + " is mapped more than once");
+            }
+            sources.push(source);
+            targets.push(toTerrainValue(call, args, pairs[i][1], "the target of entry " + (i + 1)));
+        }
+        this.mappingVar = {sources: sources, targets: targets};
+        return this;
+    },
+    targetPredicates: function(){
+        return (this.mappingVar === null) ? [] : [onTerrain.apply(null, this.mappingVar.sources)];
+    },
+    undoChannels: function(){
+        return [terrainChannel()];
+    },
+    apply: function(x, y){
+        var terrain = dimension.getTerrainAt(x, y);
+        var index = this.mappingVar.sources.indexOf(terrain);
+        if (index < 0 || this.mappingVar.targets[index] == terrain){
+            return false;
+        }
+        dimension.setTerrainAt(x, y, this.mappingVar.targets[index]);
+        return true;
+    }
+});
+
+// Sets the painted biome of every matching column. Takes a biome name such as "desert", the numeric Minecraft biome ID, or
+// "auto" to let WorldPainter choose the biome again
+var setBiome = createAction("setBiome", {
+    resetTarget: function(){
+        this.biomeVar = null;
+    },
+    validateTarget: function(){
+        requireTarget(this, "biome", this.biomeVar);
+    },
+    biome: function(arg){
+        this.biomeVar = (arg === "auto") ? AUTO_BIOME : toBiome(this.actionName + ".biome", arguments, 0);
+        return this;
+    },
+    undoChannels: function(){
+        return [layerValueChannel(org.pepsoft.worldpainter.layers.Biome.INSTANCE)];
+    },
+    apply: function(x, y){
+        if (dimension.getLayerValueAt(org.pepsoft.worldpainter.layers.Biome.INSTANCE, x, y) == this.biomeVar){
+            return false;
+        }
+        dimension.setLayerValueAt(org.pepsoft.worldpainter.layers.Biome.INSTANCE, x, y, this.biomeVar);
+        return true;
+    }
+});
+
+
+
+// --------------------------------------------------------------------- //
+// ------------------- Objects for Height and Water -------------------- //
+// --------------------------------------------------------------------- //
+
+
+// Actions that change the terrain height hold back their new heights until the scan is two tile rows further, so the filters
+// (e.g. .aboveDegrees()) always see the original terrain instead of columns that were already changed.
+
+// Collects new heights and writes them once the scan has left the tile row below theirs. flush() writes the rest
+function createDeferredHeights(){
+    var rows = {};
+    var currentRow = -Infinity;
+    var deferred = {
+        set: function(x, y, height){
+            var tileY = Math.floor(y / TILE_SIZE);
+            if (tileY != currentRow){
+                currentRow = tileY;
+                deferred.flush(tileY - 1);
+            }
+            if (rows[tileY] === undefined){
+                rows[tileY] = {xs: [], ys: [], heights: []};
+            }
+            rows[tileY].xs.push(x);
+            rows[tileY].ys.push(y);
+            rows[tileY].heights.push(height);
+        },
+        // Writes the heights of all tile rows above the given one
+        flush: function(beforeTileY){
+            for (var key in rows){
+                if (Number(key) < beforeTileY){
+                    var row = rows[key];
+                    for (var i = 0; i < row.xs.length; i++){
+                        dimension.setHeightAt(row.xs[i], row.ys[i], row.heights[i]);
+                    }
+                    delete rows[key];
+                }
+            }
+        }
+    };
+    return deferred;
+}
+
+// Methods shared by all actions that change the height. Each action adds heightAt(x, y, column), which returns the new height of a column
+var shapingMethods = {
+    prepareTarget: function(seed){
+        this.deferredVar = createDeferredHeights();
+        this.tileVar = null;
+    },
+    finishTarget: function(){
+        this.deferredVar.flush(Infinity);
+        this.deferredVar = null;
+        this.tileVar = null;
+    },
+    undoChannels: function(){
+        return [heightChannel()];
+    },
+    // Returns the new height of a column computed for its whole tile at once by computeTile(tile_x, tile_y), for actions
+    // that look at the surrounding columns
+    tileHeightAt: function(x, y){
+        var tileX = Math.floor(x / TILE_SIZE), tileY = Math.floor(y / TILE_SIZE);
+        if (this.tileVar === null || this.tileVar.tileX != tileX || this.tileVar.tileY != tileY){
+            this.tileVar = {tileX: tileX, tileY: tileY, heights: this.computeTile(tileX, tileY)};
+        }
+        return this.tileVar.heights[(x - tileX * TILE_SIZE) + (y - tileY * TILE_SIZE) * TILE_SIZE];
+    },
+    apply: function(x, y, column){
+        var height = clampToBuildHeight(this.heightAt(x, y, column));
+        if (dimension.getHeightAt(x, y) == height){
+            return false;
+        }
+        this.deferredVar.set(x, y, height);
+        return true;
+    }
+};
+
+// Creates an action that changes the height: an action with the shaping methods above and the given target methods
+function createShapingAction(actionName, actionMethods){
+    var methods = {};
+    for (var shared in shapingMethods){
+        methods[shared] = shapingMethods[shared];
+    }
+    for (var key in actionMethods){
+        methods[key] = actionMethods[key];
+    }
+    return createAction(actionName, methods);
+}
+
+// Sets the terrain height of every matching column to a fixed level
+var setHeight = createShapingAction("setHeight", {
+    resetTarget: function(){
+        this.levelVar = null;
+    },
+    validateTarget: function(){
+        requireTarget(this, "level", this.levelVar);
+    },
+    level: function(arg){
+        requireNumber(this.actionName + ".level", arguments, 0, "the level", -Infinity, Infinity);
+        this.levelVar = arg;
+        return this;
+    },
+    heightAt: function(x, y){
+        return this.levelVar;
+    }
+});
+
+// Raises the terrain height of every matching column by a number of blocks
+var raiseHeight = createShapingAction("raiseHeight", {
+    resetTarget: function(){
+        this.amountVar = null;
+    },
+    validateTarget: function(){
+        requireTarget(this, "amount", this.amountVar);
+    },
+    amount: function(arg){
+        requireNumber(this.actionName + ".amount", arguments, 0, "the amount", 0, Infinity);
+        this.amountVar = arg;
+        return this;
+    },
+    heightAt: function(x, y){
+        return dimension.getHeightAt(x, y) + this.amountVar;
+    }
+});
+
+// Lowers the terrain height of every matching column by a number of blocks
+var lowerHeight = createShapingAction("lowerHeight", {
+    resetTarget: function(){
+        this.amountVar = null;
+    },
+    validateTarget: function(){
+        requireTarget(this, "amount", this.amountVar);
+    },
+    amount: function(arg){
+        requireNumber(this.actionName + ".amount", arguments, 0, "the amount", 0, Infinity);
+        this.amountVar = arg;
+        return this;
+    },
+    heightAt: function(x, y){
+        return dimension.getHeightAt(x, y) - this.amountVar;
+    }
+});
+
+// Sets the water level of every matching column, raising or lowering it
+var setWaterLevel = createAction("setWaterLevel", {
+    resetTarget: function(){
+        this.levelVar = null;
+    },
+    validateTarget: function(){
+        requireTarget(this, "level", this.levelVar);
+    },
+    level: function(arg){
+        requireInteger(this.actionName + ".level", arguments, 0, "the water level", -Infinity, Infinity);
+        this.levelVar = arg;
+        return this;
+    },
+    undoChannels: function(){
+        return [waterLevelChannel()];
+    },
+    apply: function(x, y){
+        if (dimension.getWaterLevelAt(x, y) == this.levelVar){
+            return false;
+        }
+        dimension.setWaterLevelAt(x, y, this.levelVar);
+        return true;
+    }
+});
+
+// Raises the water level of every matching column to the specified level. Columns with a higher water level are left alone
+var flood = createAction("flood", {
+    resetTarget: function(){
+        this.levelVar = null;
+        this.lavaVar = false;
+    },
+    validateTarget: function(){
+        requireTarget(this, "level", this.levelVar);
+    },
+    level: function(arg){
+        requireInteger(this.actionName + ".level", arguments, 0, "the water level", -Infinity, Infinity);
+        this.levelVar = arg;
+        return this;
+    },
+    withLava: function(){
+        this.lavaVar = true;
+        return this;
+    },
+    undoChannels: function(){
+        return [waterLevelChannel(), bitLayerChannel(org.pepsoft.worldpainter.layers.FloodWithLava.INSTANCE)];
+    },
+    apply: function(x, y){
+        if (dimension.getWaterLevelAt(x, y) < this.levelVar){
+            dimension.setWaterLevelAt(x, y, this.levelVar);
+            dimension.setBitLayerValueAt(org.pepsoft.worldpainter.layers.FloodWithLava.INSTANCE, x, y, this.lavaVar);
+            return true;
+        }
+        return false;
+    }
+});
+
+// Removes water and lava from every matching column by dropping the water level to the bottom of the world
+var drain = createAction("drain", {
+    resetTarget: function(){},
+    validateTarget: function(){},
+    undoChannels: function(){
+        return [waterLevelChannel(), bitLayerChannel(org.pepsoft.worldpainter.layers.FloodWithLava.INSTANCE)];
+    },
+    apply: function(x, y){
+        var lava = org.pepsoft.worldpainter.layers.FloodWithLava.INSTANCE;
+        if (dimension.getWaterLevelAt(x, y) == dimension.getMinHeight() && !dimension.getBitLayerValueAt(lava, x, y)){
+            return false;
+        }
+        dimension.setWaterLevelAt(x, y, dimension.getMinHeight());
+        dimension.setBitLayerValueAt(lava, x, y, false);
+        return true;
+    }
+});
+
+
+// --------------------------------------------------------------------- //
+// -------------------- Objects for Terrain Shaping -------------------- //
+// --------------------------------------------------------------------- //
+
+
+// Shaping actions change the terrain height based on the height itself or on the surrounding heights. Like the height actions
+// (see Objects for Height and Water) they hold back their new heights, so the neighbors read by smooth and erode always see the
+// original terrain.
+
+// Largest distance in blocks that smooth and erode may look around a column, so writes can be held back by two tile rows
+var MAX_SHAPING_RADIUS = TILE_SIZE;
+
+// Returns the weights of a box blur with the given radius repeated a number of times, which comes close to a Gaussian blur
+function smoothingWeights(radius, iterations){
+    var weights = [1];
+    for (var n = 0; n < iterations; n++){
+        var next = [];
+        for (var i = 0; i < weights.length + 2 * radius; i++){
+            var sum = 0;
+            for (var k = Math.max(0, i - 2 * radius); k <= Math.min(weights.length - 1, i); k++){
+                sum += weights[k];
+            }
+            next.push(sum / (2 * radius + 1));
+        }
+        weights = next;
+    }
+    return weights;
+}
+
+// Smooths the terrain by averaging the heights around each matching column, e.g. smooth.radius(3).iterations(2)
+var smooth = createShapingAction("smooth", {
+    resetTarget: function(){
+        this.radiusVar = null;
+        this.iterationsVar = 1;
+    },
+    validateTarget: function(){
+        requireTarget(this, "radius", this.radiusVar);
+        if (this.radiusVar * this.iterationsVar > MAX_SHAPING_RADIUS){
+            throw new Error(this.actionName + ": radius times iterations must be at most " + MAX_SHAPING_RADIUS + ", got "
+                + this.radiusVar + " x " + this.iterationsVar);
+        }
+    },
+    radius: function(arg){
+        requireInteger(this.actionName + ".radius", arguments, 0, "the radius", 1, MAX_SHAPING_RADIUS);
+        this.radiusVar = arg;
+        return this;
+    },
+    iterations: function(arg){
+        requireInteger(this.actionName + ".iterations", arguments, 0, "the number of iterations", 1, MAX_SHAPING_RADIUS);
+        this.iterationsVar = arg;
+        return this;
+    },
+    // Blurs the tile in two passes, rows then columns. Missing tiles are left out of the average
+    computeTile: function(tile_x, tile_y){
+        var weights = smoothingWeights(this.radiusVar, this.iterationsVar);
+        var reach = (weights.length - 1) / 2;
+        var window = readHeightWindow(tile_x, tile_y, reach);
+        var size = window.size;
+        var rowSums = new Float64Array(size * TILE_SIZE), rowWeights = new Float64Array(size * TILE_SIZE);
+        for (var y = 0; y < size; y++){
+            for (var x = 0; x < TILE_SIZE; x++){
+                var sum = 0, weightSum = 0;
+                for (var k = 0; k < weights.length; k++){
+                    var index = (x + k) + y * size;
+                    if (window.present[index]){
+                        sum += weights[k] * window.heights[index];
+                        weightSum += weights[k];
+                    }
+                }
+                rowSums[x + y * TILE_SIZE] = sum;
+                rowWeights[x + y * TILE_SIZE] = weightSum;
+            }
+        }
+        var heights = new Float64Array(TILE_SIZE * TILE_SIZE);
+        for (var j = 0; j < TILE_SIZE; j++){
+            for (var i = 0; i < TILE_SIZE; i++){
+                var columnSum = 0, columnWeight = 0;
+                for (var m = 0; m < weights.length; m++){
+                    columnSum += weights[m] * rowSums[i + (j + m) * TILE_SIZE];
+                    columnWeight += weights[m] * rowWeights[i + (j + m) * TILE_SIZE];
+                }
+                heights[i + j * TILE_SIZE] = columnSum / columnWeight;
+            }
+        }
+        return heights;
+    },
+    heightAt: function(x, y){
+        return this.tileHeightAt(x, y);
+    }
+});
+
+// Cuts the terrain into terraces of stepHeight blocks, e.g. terrace.stepHeight(6).sharpness(0.8). Sharpness goes from 0 (no
+// change) to 1 (flat steps with vertical edges, the default): it is the share of each step that is flattened
+var terrace = createShapingAction("terrace", {
+    resetTarget: function(){
+        this.stepHeightVar = null;
+        this.sharpnessVar = 1;
+    },
+    validateTarget: function(){
+        requireTarget(this, "stepHeight", this.stepHeightVar);
+    },
+    stepHeight: function(arg){
+        requireNumber(this.actionName + ".stepHeight", arguments, 0, "the step height", 1, Infinity);
+        this.stepHeightVar = arg;
+        return this;
+    },
+    sharpness: function(arg){
+        requireNumber(this.actionName + ".sharpness", arguments, 0, "the sharpness", 0, 1);
+        this.sharpnessVar = arg;
+        return this;
+    },
+    heightAt: function(x, y){
+        var height = dimension.getHeightAt(x, y);
+        // The small allowance keeps heights such as 59.9999 (e.g. after smoothing) on the step at 60
+        var base = Math.floor(height / this.stepHeightVar + 1e-6) * this.stepHeightVar;
+        var share = (height - base) / this.stepHeightVar;
+        var rise = (this.sharpnessVar >= 1) ? 0 : Math.max(0, share - this.sharpnessVar) / (1 - this.sharpnessVar);
+        return base + rise * this.stepHeightVar;
+    }
+});
+
+// Keeps the terrain height of every matching column between min and max, e.g. clampHeight.min(40).max(180). One of them is enough
+var clampHeight = createShapingAction("clampHeight", {
+    resetTarget: function(){
+        this.minVar = null;
+        this.maxVar = null;
+    },
+    validateTarget: function(){
+        if (this.minVar === null && this.maxVar === null){
+            throw new Error(this.actionName + ": .min() or .max() was not called or was called without a value. At least one of them is required before .go()");
+        }
+        if (this.minVar !== null && this.maxVar !== null && this.minVar > this.maxVar){
+            throw new Error(this.actionName + ": min (" + this.minVar + ") is above max (" + this.maxVar + ")");
+        }
+    },
+    min: function(arg){
+        requireNumber(this.actionName + ".min", arguments, 0, "the minimum level", -Infinity, Infinity);
+        this.minVar = arg;
+        return this;
+    },
+    max: function(arg){
+        requireNumber(this.actionName + ".max", arguments, 0, "the maximum level", -Infinity, Infinity);
+        this.maxVar = arg;
+        return this;
+    },
+    heightAt: function(x, y){
+        var height = dimension.getHeightAt(x, y);
+        if (this.minVar !== null && height < this.minVar){
+            return this.minVar;
+        }
+        return (this.maxVar !== null && height > this.maxVar) ? this.maxVar : height;
+    }
+});
+
+// Remaps the terrain height along a curve of [input level, output level] points, e.g. applyCurve.curve([[0, 0], [62, 62],
+// [120, 90], [320, 150]]) to flatten the mountain tops. Between the points the height follows a straight line; below the
+// first and above the last point it keeps the offset of that point
+var applyCurve = createShapingAction("applyCurve", {
+    resetTarget: function(){
+        this.curveVar = null;
+    },
+    validateTarget: function(){
+        requireTarget(this, "curve", this.curveVar);
+    },
+    curve: function(points){
+        var call = this.actionName + ".curve";
+        var args = arguments;
+        if (!Array.isArray(points) || points.length < 2){
+            throw invalidArgument(call, args, "expected a list of at least two [input, output] points such as [[0, 0], [120, 90]], got " + describeValue(points));
+        }
+        for (var i = 0; i < points.length; i++){
+            if (!Array.isArray(points[i]) || points[i].length != 2){
+                throw invalidArgument(call, args, "point " + (i + 1) + " must be a pair such as [120, 90], got " + describeValue(points[i]));
+            }
+            requireNumberValue(call, args, points[i][0], "the input of point " + (i + 1), -Infinity, Infinity);
+            requireNumberValue(call, args, points[i][1], "the output of point " + (i + 1), -Infinity, Infinity);
+            if (i > 0 && points[i][0] <= points[i - 1][0]){
+                throw invalidArgument(call, args, "the points must be sorted by input, but point " + (i + 1) + " has input "
+                    + points[i][0] + " after " + points[i - 1][0]);
+            }
+        }
+        this.curveVar = points;
+        return this;
+    },
+    heightAt: function(x, y){
+        var points = this.curveVar;
+        var height = dimension.getHeightAt(x, y);
+        if (height <= points[0][0]){
+            return height + points[0][1] - points[0][0];
+        }
+        for (var i = 1; i < points.length; i++){
+            if (height <= points[i][0]){
+                var share = (height - points[i - 1][0]) / (points[i][0] - points[i - 1][0]);
+                return points[i - 1][1] + share * (points[i][1] - points[i - 1][1]);
+            }
+        }
+        return height + points[points.length - 1][1] - points[points.length - 1][0];
+    }
+});
+
+// Offsets and distances of the eight neighbors of a column, used by erode
+var NEIGHBOR_OFFSETS = [[-1, -1], [0, -1], [1, -1], [-1, 0], [1, 0], [-1, 1], [0, 1], [1, 1]];
+
+// Wears down slopes steeper than the talus angle with a simple thermal erosion model: in every iteration each column sheds
+// part of the material above the talus angle to its lower neighbors. Options: erode.iterations(10).talus(35).strength(0.5).
+// Material moves between all columns, but only the matching ones are changed
+var erode = createShapingAction("erode", {
+    resetTarget: function(){
+        this.iterationsVar = 10;
+        this.talusVar = 35;
+        this.strengthVar = 0.5;
+    },
+    validateTarget: function(){},
+    iterations: function(arg){
+        requireInteger(this.actionName + ".iterations", arguments, 0, "the number of iterations", 1, MAX_SHAPING_RADIUS - 1);
+        this.iterationsVar = arg;
+        return this;
+    },
+    talus: function(arg){
+        requireNumber(this.actionName + ".talus", arguments, 0, "the talus angle in degrees", 0, 89);
+        this.talusVar = arg;
+        return this;
+    },
+    strength: function(arg){
+        requireNumber(this.actionName + ".strength", arguments, 0, "the strength", 0, 1);
+        this.strengthVar = arg;
+        return this;
+    },
+    // Runs the erosion on a window around the tile. Changes spread one column per iteration, so with a margin of one more
+    // column than iterations the tile itself comes out as if the whole map had been eroded
+    computeTile: function(tile_x, tile_y){
+        var window = readHeightWindow(tile_x, tile_y, this.iterationsVar + 1);
+        var size = window.size, heights = window.heights, present = window.present;
+        var talusHeight = degreesToSlope(this.talusVar);
+        var limits = NEIGHBOR_OFFSETS.map(function(offset){
+            return talusHeight * Math.sqrt(offset[0] * offset[0] + offset[1] * offset[1]);
+        });
+        var steps = NEIGHBOR_OFFSETS.map(function(offset){
+            return offset[0] + offset[1] * size;
+        });
+        var change = new Float64Array(size * size), excess = new Float64Array(NEIGHBOR_OFFSETS.length);
+        for (var n = 0; n < this.iterationsVar; n++){
+            for (var y = 1; y < size - 1; y++){
+                for (var x = 1; x < size - 1; x++){
+                    var index = x + y * size;
+                    if (!present[index]){
+                        continue;
+                    }
+                    var total = 0, largest = 0;
+                    for (var k = 0; k < steps.length; k++){
+                        var neighbor = index + steps[k];
+                        excess[k] = present[neighbor] ? Math.max(0, heights[index] - heights[neighbor] - limits[k]) : 0;
+                        total += excess[k];
+                        largest = Math.max(largest, excess[k]);
+                    }
+                    if (total > 0){
+                        var moved = this.strengthVar * largest / 2;
+                        for (var m = 0; m < steps.length; m++){
+                            change[index + steps[m]] += moved * excess[m] / total;
+                        }
+                        change[index] -= moved;
+                    }
+                }
+            }
+            for (var i = 0; i < heights.length; i++){
+                heights[i] += change[i];
+                change[i] = 0;
+            }
+        }
+        var result = new Float64Array(TILE_SIZE * TILE_SIZE);
+        for (var row = 0; row < TILE_SIZE; row++){
+            for (var column = 0; column < TILE_SIZE; column++){
+                result[column + row * TILE_SIZE] = heights[(column + window.margin) + (row + window.margin) * size];
+            }
+        }
+        return result;
+    },
+    heightAt: function(x, y){
+        return this.tileHeightAt(x, y);
+    }
+});
+
+
+
+// --------------------------------------------------------------------- //
+// -------------------------- Batch Pipeline --------------------------- //
+// --------------------------------------------------------------------- //
+
+
+// runPipeline(recipe) runs an ordered list of operations. The recipe is the path of a JSON file (e.g. passed as script
+// argument, see recipeFromArguments) or an inline object in the same format:
+// {
+//     "layersDirectory": "../Layers",   Optional. Folder that relative layer paths are resolved against. Defaults to the folder of the recipe file.
+//     "dryRun": false,                  Optional. true runs .dryRun() instead of .go() for every step. Steps may then only run "dryRun" or "count".
+//     "presets": "../presets.json",     Optional. Presets file to read before the steps are checked (see Presets).
+//     "steps": [
+//         {"name": "Beach", "action": "setTerrain", "terrain": "SAND",
+//          "filters": {"onlyOnTerrain": ["GRASS"], "withinDistanceOf": ["WATER", 6], "belowLevel": 66}},
+//         {"action": "setLayer", "layer": "red_carpet.layer",
+//          "filters": {"where": {"anyOf": [{"belowLevel": 40}, {"aboveLevel": 122}]}}}
+//     ]
+// }
+// A step names the action and its target: "layer" takes a layer file and "terrain" a Terrain name (see Terrain.valueOf). Any other
+// key calls the action method of the same name, e.g. "level": 64 for setHeight. Every filter calls the filter method of the same name:
+// true for filters without arguments, a list for several arguments, anything else as the only argument. Terrains are given by name,
+// layers by file path, and neighborhood targets by terrain name, layer file, "WATER" or "MAP_EDGE". "where" takes a predicate
+// written as {"name": arguments}, e.g. {"not": {"onTerrain": ["SAND"]}}. terrainMix, byHeight and bySlope take their pairs with terrain
+// names, e.g. "byHeight": [[0, "SAND"], [70, "GRASS"]], or the pairs and the blend width, e.g. "byHeight": [[[0, "SAND"], [70, "GRASS"]], 4].
+// A step can set "run" to "count" or "dryRun" instead of "go".
+// The whole recipe is checked before the first step runs, so a typo in the last step does not leave the map half done.
+
+// Actions that can be used in a recipe
+var pipelineActions = {
+    setLayer: setLayer,
+    removeLayer: removeLayer,
+    setLayerValue: setLayerValue,
+    convertLayer: convertLayer,
+    setTerrain: setTerrain,
+    replaceTerrain: replaceTerrain,
+    setBiome: setBiome,
+    setHeight: setHeight,
+    raiseHeight: raiseHeight,
+    lowerHeight: lowerHeight,
+    setWaterLevel: setWaterLevel,
+    flood: flood,
+    drain: drain,
+    smooth: smooth,
+    terrace: terrace,
+    clampHeight: clampHeight,
+    applyCurve: applyCurve,
+    erode: erode
+};
+
+// Predicates that can be used in "where"
+var pipelinePredicates = {
+    allOf: allOf,
+    anyOf: anyOf,
+    not: not,
+    onTerrain: onTerrain,
+    onLayer: onLayer,
+    inBiome: inBiome,
+    onWater: onWater,
+    aboveLevel: aboveLevel,
+    belowLevel: belowLevel,
+    betweenLevels: betweenLevels,
+    aboveDegrees: aboveDegrees,
+    belowDegrees: belowDegrees,
+    betweenDegrees: betweenDegrees,
+    withProbability: withProbability,
+    withNoise: withNoise,
+    withMinSpacing: withMinSpacing,
+    withinRect: withinRect,
+    withinCircle: withinCircle,
+    onTiles: onTiles,
+    withinSelection: withinSelection,
+    withinDistanceOf: withinDistanceOf,
+    fartherThan: fartherThan,
+    onEdgeOf: onEdgeOf,
+    onRidge: onRidge,
+    inValley: inValley,
+    localReliefAbove: localReliefAbove,
+    localReliefBelow: localReliefBelow,
+    convex: convex,
+    concave: concave,
+    facing: facing,
+    relativeHeight: relativeHeight,
+    inOcean: inOcean,
+    inLake: inLake,
+    inRiver: inRiver,
+    onLava: onLava,
+    waterDepthBetween: waterDepthBetween,
+    whereMask: whereMask
+};
+
+// Step keys that do not call an action method
+var PIPELINE_STEP_KEYS = ["name", "action", "filters", "run"];
+
+// Action methods that cannot be called from a recipe
+var PIPELINE_RESERVED_METHODS = ["go", "count", "dryRun", "exportMask", "savePreset", "scan", "reset", "resetFilters", "resetTarget",
+    "validateTarget", "apply", "addPredicate", "compileFilters", "findContradictions", "scanBounds", "undoChannels", "prepareTarget", "terrainAt",
+    "targetPredicates", "valueAt", "valueRamp", "finishTarget", "tileHeightAt", "computeTile", "heightAt"];
+
+// How the arguments of a method or predicate are converted. Methods that are not listed take numbers, text or true as they are
+var PIPELINE_ARGUMENT_TYPES = {
+    layer: "layer",
+    terrain: "terrain",
+    onlyOnTerrain: "terrain",
+    exceptOnTerrain: "terrain",
+    onTerrain: "terrain",
+    onlyOnLayer: "layer",
+    exceptOnLayer: "layer",
+    onLayer: "layer",
+    withinDistanceOf: "target",
+    fartherThan: "target",
+    onEdgeOf: "target",
+    onlyOnTiles: "single",
+    onTiles: "single",
+    withNoise: "single",
+    terrainMix: "pairs",
+    byHeight: "pairs",
+    bySlope: "pairs",
+    from: "layer",
+    to: "layer",
+    mapping: "single",
+    curve: "single",
+    where: "predicate"
+};
+
+// Step keys that are converted and passed to a differently named action method
+var PIPELINE_TARGET_METHODS = {
+    layer: "layerName",
+    terrain: "terrainName"
+};
+
+// Reads a UTF-8 text file
+function readTextFile(path){
+    return String(new java.lang.String(java.nio.file.Files.readAllBytes(java.nio.file.Paths.get(path)), "UTF-8"));
+}
+
+// Returns the first script argument that ends with .json, or null. Script arguments are entered in WorldPainter's script dialog
+function recipeFromArguments(){
+    if (typeof argv === "undefined"){
+        return null;
+    }
+    for (var i = 0; i < argv.length; i++){
+        if (/\.json$/i.test(String(argv[i]))){
+            return String(argv[i]);
+        }
+    }
+    return null;
 }
 
-// Checks whether the terrain type at specified coordinates is contained in a list of terrain types
-function isTerrainAt(terrainList, x_coord, y_coord){
-    var listLength = terrainList.length;
-    var terrain = dimension.getTerrainAt(x_coord, y_coord);
-    for (var i = 0; i < listLength; i++){
-        if (terrain == terrainList[i]){
-            return true;
+// Creates the resolver that turns the names and paths in a recipe into terrains and layers. Every layer file is loaded once
+function createRecipeResolver(layersDirectory){
+    var layers = {};
+    var resolver = {
+        terrain: function(name){
+            try {
+                return org.pepsoft.worldpainter.Terrain.valueOf(String(name));
+            } catch (e){
+                throw new Error("unknown terrain \"" + name + "\"");
+            }
+        },
+        layer: function(path){
+            var fullPath = (layersDirectory === null) ? String(path) : String(java.nio.file.Paths.get(layersDirectory).resolve(String(path)));
+            if (layers[fullPath] === undefined){
+                if (!java.nio.file.Files.exists(java.nio.file.Paths.get(fullPath))){
+                    throw new Error("layer file not found: " + fullPath);
+                }
+                layers[fullPath] = wp.getLayer().fromFile(fullPath).go();
+            }
+            return layers[fullPath];
+        },
+        target: function(name){
+            if (Array.isArray(name)){
+                return name.map(resolver.target);
+            }
+            if (name === "WATER"){
+                return WATER;
+            }
+            if (name === "MAP_EDGE"){
+                return MAP_EDGE;
+            }
+            return /\.layer$/i.test(String(name)) ? resolver.layer(name) : resolver.terrain(name);
         }
-    }
-    return false;
+    };
+    return resolver;
 }
 
-// Checks if the terrain at specified coordinates is below the water level
-function isWater(x_coord,y_coord){
-    return(dimension.getIntHeightAt(x_coord,y_coord) < dimension.getWaterLevelAt(x_coord,y_coord));
+// Converts the value of a recipe entry into the argument list for the method or predicate with the given name
+function recipeArguments(name, value, resolver){
+    var type = PIPELINE_ARGUMENT_TYPES[name];
+    if (type === "predicate"){
+        return [predicateFromRecipe(value, resolver)];
+    }
+    if (type === "single"){
+        return [value];
+    }
+    if (type === "pairs"){
+        // Either the list of pairs alone or the list followed by further arguments, e.g. [[[0, "SAND"], [70, "GRASS"]], 4]
+        var pairArgs = (Array.isArray(value) && Array.isArray(value[0]) && Array.isArray(value[0][0])) ? value.slice() : [value];
+        if (Array.isArray(pairArgs[0])){
+            pairArgs[0] = pairArgs[0].map(function(pair){
+                return Array.isArray(pair) ? pair.map(function(part){
+                    return (typeof part === "string") ? resolver.terrain(part) : part;
+                }) : pair;
+            });
+        }
+        return pairArgs;
+    }
+    var args = (value === true) ? [] : (Array.isArray(value) ? value.slice() : [value]);
+    if (type === "terrain"){
+        args = args.map(resolver.terrain);
+    } else if (type === "layer"){
+        // Only text is a layer file. Anything else, like the value range of onlyOnLayer, is passed on as it is
+        args = args.map(function(arg){
+            return (typeof arg === "string") ? resolver.layer(arg) : arg;
+        });
+    } else if (type === "target" && args.length > 0){
+        args[0] = resolver.target(args[0]);
+    }
+    return args;
 }
 
-// Converts degrees to slope to compare with the return value of dimension.getSlope(x, y)
-function degreesToSlope(deg){
-    return(Math.tan(deg*(Math.PI/180)));
+// Builds a predicate from its recipe form {"name": arguments}. An object with several entries passes if all of them pass
+function predicateFromRecipe(spec, resolver){
+    if (spec === null || typeof spec !== "object" || Array.isArray(spec)){
+        throw new Error("a predicate must be written as {\"name\": arguments}, got " + JSON.stringify(spec));
+    }
+    var predicates = [];
+    for (var name in spec){
+        if (pipelinePredicates[name] === undefined){
+            throw new Error("unknown predicate \"" + name + "\"");
+        }
+        var args;
+        if (name === "anyOf" || name === "allOf"){
+            args = spec[name].map(function(child){
+                return predicateFromRecipe(child, resolver);
+            });
+        } else if (name === "not"){
+            args = [predicateFromRecipe(spec[name], resolver)];
+        } else {
+            args = recipeArguments(name, spec[name], resolver);
+        }
+        predicates.push(pipelinePredicates[name].apply(null, args));
+    }
+    return (predicates.length == 1) ? predicates[0] : allOf.apply(null, predicates);
 }
 
+// Checks a step of a recipe and converts it into the list of method calls to make. Throws an error describing the first problem
+function prepareStep(step, dryRun, resolver){
+    var action = pipelineActions[step.action];
+    if (action === undefined){
+        throw new Error("unknown action \"" + step.action + "\"");
+    }
+    var calls = [];
+    var addCall = function(method, value){
+        if (typeof action[method] !== "function" || PIPELINE_RESERVED_METHODS.indexOf(method) >= 0){
+            throw new Error(step.action + " has no method \"" + method + "\"");
+        }
+        calls.push({method: method, args: recipeArguments(method, value, resolver)});
+    };
 
+    for (var key in step){
+        if (PIPELINE_STEP_KEYS.indexOf(key) >= 0){
+            continue;
+        }
+        if (PIPELINE_TARGET_METHODS[key] !== undefined){
+            calls.push({method: PIPELINE_TARGET_METHODS[key], args: recipeArguments(key, step[key], resolver)});
+        } else {
+            addCall(key, step[key]);
+        }
+    }
+    var filters = step.filters || {};
+    for (var filter in filters){
+        addCall(filter, filters[filter]);
+    }
 
-// --------------------------------------------------------------------- //
-// --------------------- Object for Setting Layers --------------------- //
-// --------------------------------------------------------------------- //
+    var run = step.run || (dryRun ? "dryRun" : "go");
+    if (["go", "count", "dryRun"].indexOf(run) < 0){
+        throw new Error("\"run\" must be \"go\", \"count\" or \"dryRun\", got \"" + run + "\"");
+    }
+    if (dryRun && run == "go"){
+        throw new Error("\"run\": \"go\" would change the world, but the recipe is a dry run. Use \"dryRun\" or \"count\"");
+    }
 
+    // Configure the action once to check all values, then leave it clean for the actual run
+    action.reset();
+    try {
+        for (var i = 0; i < calls.length; i++){
+            action[calls[i].method].apply(action, calls[i].args);
+        }
+        if (run == "go"){
+            action.validateTarget();
+        }
+    } finally {
+        action.reset();
+    }
+    return {action: action, calls: calls, run: run};
+}
 
-var setLayer = {
+// Runs a recipe, see the description at the top of this section
+function runPipeline(recipe){
+    var layersDirectory = null;
+    if (typeof recipe === "string"){
+        var recipeFolder = java.nio.file.Paths.get(recipe).toAbsolutePath().getParent();
+        layersDirectory = String(recipeFolder);
+        print("Reading recipe " + recipe);
+        recipe = JSON.parse(readTextFile(recipe));
+    }
+    if (Array.isArray(recipe)){
+        recipe = {steps: recipe};
+    }
+    if (recipe === null || typeof recipe !== "object" || !Array.isArray(recipe.steps)){
+        throw new Error("runPipeline() needs a recipe file, a recipe object with a \"steps\" list, or a list of steps");
+    }
+    if (recipe.layersDirectory !== undefined){
+        layersDirectory = (layersDirectory === null) ? String(recipe.layersDirectory) : String(java.nio.file.Paths.get(layersDirectory).resolve(recipe.layersDirectory));
+    }
+    if (recipe.presets !== undefined){
+        // The presets file is read relative to the recipe, like the layers directory
+        loadPresets((recipeFolder === undefined) ? String(recipe.presets) : String(recipeFolder.resolve(recipe.presets)));
+    }
 
-    // Initialize filter variables, which can be set by the user through the methods below
-    layerNameVar: null,
-    onlyOnTerrainFilter: [],
-    exceptOnTerrainFilter: [],
-    onlyOnLayerFilter: [],
-    exceptOnLayerFilter: [],
-    onlyOnWaterFilter: false,
-    exceptOnWaterFilter: false,
-    aboveLevelFilter: null,
-    belowLevelFilter: null,
-    aboveDegreesFilter: null,
-    belowDegreesFilter: null,
-    withProbabilityFilter: 1,
+    // Check the whole recipe before touching the world
+    var resolver = createRecipeResolver(layersDirectory);
+    var prepared = [], errors = [];
+    for (var i = 0; i < recipe.steps.length; i++){
+        var label = "Step " + (i + 1) + " (" + (recipe.steps[i].name || recipe.steps[i].action) + ")";
+        try {
+            var step = prepareStep(recipe.steps[i], recipe.dryRun === true, resolver);
+            step.label = label;
+            prepared.push(step);
+        } catch (e){
+            errors.push(label + ": " + e.message);
+        }
+    }
+    if (errors.length > 0){
+        throw new Error("The recipe has " + errors.length + " error(s), nothing was changed:\n    " + errors.join("\n    "));
+    }
 
-    // Methods to set filters
-    layerName: function(arg) {
-        this.layerNameVar = arg;
-        return this;
-    },
-    onlyOnTerrain: function() {
-        this.onlyOnTerrainFilter = Array.prototype.slice.call(arguments); // Convert arguments to an array and store in onlyOnTerrainFilter
-        return this;
-    },
-    exceptOnTerrain: function(){
-        this.exceptOnTerrainFilter = Array.prototype.slice.call(arguments);
-        return this;
-    },
-    onlyOnLayer: function() {
-        this.onlyOnLayerFilter = Array.prototype.slice.call(arguments);
-        return this;
-    },
-    exceptOnLayer: function(){
-        this.exceptOnLayerFilter = Array.prototype.slice.call(arguments);
-        return this;
-    },
-    onlyOnWater: function(){
-        this.onlyOnWaterFilter = true;
-        return this;
-    },
-    exceptOnWater: function(){
-        this.exceptOnWaterFilter = true;
-        return this;
-    },
-    aboveLevel: function(arg){
-        this.aboveLevelFilter = arg;
-        return this;
-    },
-    belowLevel: function(arg){
-        this.belowLevelFilter = arg;
-        return this;
-    },
-    aboveDegrees: function(arg){
-        this.aboveDegreesFilter = degreesToSlope(arg);
-        return this;
-    },
-    belowDegrees: function(arg){
-        this.belowDegreesFilter = degreesToSlope(arg);
-        return this;
-    },
-    withProbability: function(arg){
-        this.withProbabilityFilter = arg;
-        return this;
-    },
+    // Run the steps in order
+    var startTime = Date.now();
+    for (var j = 0; j < prepared.length; j++){
+        var stepStart = Date.now();
+        if (isReporting("summary")){
+            print("--- " + prepared[j].label + ", " + (j + 1) + " of " + prepared.length + " ---");
+        }
+        var action = prepared[j].action.reset();
+        for (var k = 0; k < prepared[j].calls.length; k++){
+            action[prepared[j].calls[k].method].apply(action, prepared[j].calls[k].args);
+        }
+        action[prepared[j].run]();
+        if (isReporting("summary")){
+            print(prepared[j].label + " finished in " + ((Date.now() - stepStart) / 1000).toFixed(1) + " s.");
+        }
+    }
+    if (isReporting("summary")){
+        print("Recipe finished: " + prepared.length + " steps in " + ((Date.now() - startTime) / 1000).toFixed(1) + " s.");
+    }
+}
 
-    // Method to set the layer based on filters
-    go: function(){
 
-        // Determine if onlyOnTerrainFilter and onlyOnLayerFilter are empty
-        var isEmpty_onlyOnTerrainFilter = (this.onlyOnTerrainFilter.length == 0);
-        var isEmpty_onlyOnLayerFilter = (this.onlyOnLayerFilter.length == 0);
 
-        // Get dimension measurements
-        var dimMeasure = dimension.getExtent();
-        var dimHeight = dimMeasure.height * 128;
-        var dimWidth = dimMeasure.width * 128;
-        var xMin = dimMeasure.getX() * 128;
-        var yMin = dimMeasure.getY()* 128;
-
-        // Loop through all coordinates
-        for (var x = xMin; x <= dimWidth; x++){
-            for (var y = yMin; y <= dimHeight; y++){  
-
-                var height = dimension.getIntHeightAt(x,y);
-                var slope = dimension.getSlope(x,y);
-
-                    // Check all conditions set by the user
-                    if ((Math.random() <= this.withProbabilityFilter)
-                        && (isEmpty_onlyOnTerrainFilter || isTerrainAt(this.onlyOnTerrainFilter, x, y)) 
-                        && !isTerrainAt(this.exceptOnTerrainFilter, x, y) 
-                        && (isEmpty_onlyOnLayerFilter || isLayerAt(this.onlyOnLayerFilter, x, y)) 
-                        && !isLayerAt(this.exceptOnLayerFilter, x, y)
-                        && (!this.onlyOnWaterFilter || isWater(x, y))
-                        && (!this.exceptOnWaterFilter || !isWater(x, y))
-                        && ((this.belowLevelFilter === null && this.aboveLevelFilter === null) 
-                            || (this.belowLevelFilter !== null && height <= this.belowLevelFilter) 
-                            || (this.aboveLevelFilter !== null && height >= this.aboveLevelFilter))
-                        && ((this.belowDegreesFilter === null && this.aboveDegreesFilter === null) 
-                            || (this.belowDegreesFilter !== null && slope <= this.belowDegreesFilter) 
-                            || (this.aboveDegreesFilter !== null && slope >= this.aboveDegreesFilter))) {
-                        dimension.setBitLayerValueAt(this.layerNameVar, x, y, true); // Set the layer if all conditions are met
-                    }
-                }
-            }
-        // Reset properties of setLayer object
-        this.layerNameVar = null;
-        this.onlyOnTerrainFilter = [];
-        this.exceptOnTerrainFilter = [];
-        this.onlyOnLayerFilter = [];
-        this.exceptOnLayerFilter = [];
-        this.onlyOnWaterFilter = false;
-        this.exceptOnWaterFilter = false;
-        this.aboveLevelFilter = null;
-        this.belowLevelFilter = null;
-        this.aboveDegreesFilter = null;
-        this.belowDegreesFilter = null;
-        this.withProbabilityFilter = 1;
-
-        print("Execution complete.");
-        print("For updates and support, visit: https://github.com/BurgerXXL420/WorldPainter-CustomFilterScript.");
-        print("Script by BurgerXXL.");
-        print("Thank you for using this tool!");
-        }
-    };
+// --------------------------------------------------------------------- //
+// ------------------------------ Presets ------------------------------ //
+// --------------------------------------------------------------------- //
 
 
-    
-// ---------------------------------------------------------------------- //
-// --------------------- Object for Removing Layers --------------------- //
-// ---------------------------------------------------------------------- //
+// A preset is a named set of filters that .usePreset(name) adds to any action, e.g. the filters that find beaches. Presets are
+// saved from a filter chain with .savePreset(name), defined with definePreset(name, filters) or read with loadPresets(path)
+// from a presets file, which is kept next to the Layers folder. The file holds the filters of each preset in the same form as
+// the "filters" of a recipe step (see Batch Pipeline), and layer files are looked up in the Layers folder next to it:
+// {
+//     "beach": {"onlyOnTerrain": ["GRASS"], "withinDistanceOf": ["WATER", 6], "belowLevel": 66},
+//     "seaFloor": {"onlyOnWater": true, "onlyOnTerrain": ["SAND", "GRAVEL"]}
+// }
+// savePresets(path) writes every preset into such a file. Recipe steps can use presets too, e.g. "filters": {"usePreset": "beach"}.
 
+// Presets by name, as {calls, filters}: calls lists the filter methods to call as {method, args}, filters holds the recipe form
+// the preset was defined with, or null for presets saved from a filter chain
+var presets = {};
 
-var removeLayer = {
+// Methods that cannot be used in a preset, as they configure the run rather than filter columns
+var PRESET_EXCLUDED_METHODS = ["usePreset", "withSeed", "maxSeconds", "maxChanges", "recordUndo"];
 
-    // Initialize filter variables, which can be set by the user through the methods below
-    layerNameVar: null,
-    onlyOnTerrainFilter: [],
-    exceptOnTerrainFilter: [],
-    onlyOnLayerFilter: [],
-    exceptOnLayerFilter: [],
-    onlyOnWaterFilter: false,
-    exceptOnWaterFilter: false,
-    aboveLevelFilter: null,
-    belowLevelFilter: null,
-    aboveDegreesFilter: null,
-    belowDegreesFilter: null,
-    withProbabilityFilter: 1,
+// Throws if the first argument is not a preset name
+function requirePresetName(call, args){
+    if (typeof args[0] !== "string" || args[0] === ""){
+        throw invalidArgument(call, args, "the name of the preset must be text");
+    }
+}
 
-    // Methods to set filters
-    layerName: function(arg) {
-        this.layerNameVar = arg;
-        return this;
-    },
-    onlyOnTerrain: function() {
-        this.onlyOnTerrainFilter = Array.prototype.slice.call(arguments); // Convert arguments to an array and store in onlyOnTerrainFilter
-        return this;
-    },
-    exceptOnTerrain: function(){
-        this.exceptOnTerrainFilter = Array.prototype.slice.call(arguments);
-        return this;
-    },
-    onlyOnLayer: function() {
-        this.onlyOnLayerFilter = Array.prototype.slice.call(arguments);
-        return this;
-    },
-    exceptOnLayer: function(){
-        this.exceptOnLayerFilter = Array.prototype.slice.call(arguments);
-        return this;
-    },
-    onlyOnWater: function(){
-        this.onlyOnWaterFilter = true;
-        return this;
-    },
-    exceptOnWater: function(){
-        this.exceptOnWaterFilter = true;
-        return this;
-    },
-    aboveLevel: function(arg){
-        this.aboveLevelFilter = arg;
-        return this;
-    },
-    belowLevel: function(arg){
-        this.belowLevelFilter = arg;
-        return this;
-    },
-    aboveDegrees: function(arg){
-        this.aboveDegreesFilter = degreesToSlope(arg);
-        return this;
-    },
-    belowDegrees: function(arg){
-        this.belowDegreesFilter = degreesToSlope(arg);
-        return this;
-    },
-    withProbability: function(arg){
-        this.withProbabilityFilter = arg;
-        return this;
-    },
+// Returns the preset named by the first argument, or throws listing the presets there are
+function findPreset(call, args){
+    requirePresetName(call, args);
+    if (presets[args[0]] === undefined){
+        throw invalidArgument(call, args, "there is no preset with this name. Presets: " + describeValue(Object.keys(presets))
+            + ". Presets are saved with .savePreset(name) or read with loadPresets(path)");
+    }
+    return presets[args[0]];
+}
 
-    // Method to set the layer based on filters
-    go: function(){
+// Converts filters in recipe form into a list of filter method calls {method, args}. label names the filters in errors
+function recipeFilterCalls(label, filters, resolver){
+    if (filters === null || typeof filters !== "object" || Array.isArray(filters)){
+        throw new Error(label + ": filters must be written as {\"filter\": arguments}, got " + JSON.stringify(filters));
+    }
+    var calls = [];
+    for (var method in filters){
+        if (typeof filterQuery[method] !== "function" || PIPELINE_RESERVED_METHODS.indexOf(method) >= 0 || PRESET_EXCLUDED_METHODS.indexOf(method) >= 0){
+            throw new Error(label + ": there is no filter \"" + method + "\"");
+        }
+        try {
+            calls.push({method: method, args: recipeArguments(method, filters[method], resolver)});
+        } catch (e){
+            throw (e.invalidArgument === undefined) ? new Error(label + ": " + e.message) : e;
+        }
+    }
+    return calls;
+}
 
-        // Determine if onlyOnTerrainFilter and onlyOnLayerFilter are empty
-        var isEmpty_onlyOnTerrainFilter = (this.onlyOnTerrainFilter.length == 0);
-        var isEmpty_onlyOnLayerFilter = (this.onlyOnLayerFilter.length == 0);
+// Creates a preset from filters in recipe form. Every filter is tried once, so wrong values are reported now rather than on use
+function presetFromFilters(name, filters, resolver){
+    var label = "preset \"" + name + "\"";
+    var calls = recipeFilterCalls(label, filters, resolver);
+    var check = createAction(label, {resetTarget: function(){}});
+    for (var i = 0; i < calls.length; i++){
+        check[calls[i].method].apply(check, calls[i].args);
+    }
+    return {calls: calls, filters: filters};
+}
 
-        // Get dimension measurements
-        var dimMeasure = dimension.getExtent();
-        var dimHeight = dimMeasure.height * 128;
-        var dimWidth = dimMeasure.width * 128;
-        var xMin = dimMeasure.getX() * 128;
-        var yMin = dimMeasure.getY()* 128;
-
-        // Loop through all coordinates
-        for (var x = xMin; x <= dimWidth; x++){
-            for (var y = yMin; y <= dimHeight; y++){  
-
-                var height = dimension.getIntHeightAt(x,y);
-                var slope = dimension.getSlope(x,y);
-
-                    // Check all conditions set by the user
-                    if ((Math.random() <= this.withProbabilityFilter)
-                        && (isEmpty_onlyOnTerrainFilter || isTerrainAt(this.onlyOnTerrainFilter, x, y)) 
-                        && !isTerrainAt(this.exceptOnTerrainFilter, x, y) 
-                        && (isEmpty_onlyOnLayerFilter || isLayerAt(this.onlyOnLayerFilter, x, y)) 
-                        && !isLayerAt(this.exceptOnLayerFilter, x, y)
-                        && (!this.onlyOnWaterFilter || isWater(x, y))
-                        && (!this.exceptOnWaterFilter || !isWater(x, y))
-                        && ((this.belowLevelFilter === null && this.aboveLevelFilter === null) 
-                            || (this.belowLevelFilter !== null && height <= this.belowLevelFilter) 
-                            || (this.aboveLevelFilter !== null && height >= this.aboveLevelFilter))
-                        && ((this.belowDegreesFilter === null && this.aboveDegreesFilter === null) 
-                            || (this.belowDegreesFilter !== null && slope <= this.belowDegreesFilter) 
-                            || (this.aboveDegreesFilter !== null && slope >= this.aboveDegreesFilter))) {
-                        dimension.setBitLayerValueAt(this.layerNameVar, x, y, false); // Remove the layer if all conditions are met
-                    }
-                }
-            }
-        // Reset properties of removeLayer object
-        this.layerNameVar = null;
-        this.onlyOnTerrainFilter = [];
-        this.exceptOnTerrainFilter = [];
-        this.onlyOnLayerFilter = [];
-        this.exceptOnLayerFilter = [];
-        this.onlyOnWaterFilter = false;
-        this.exceptOnWaterFilter = false;
-        this.aboveLevelFilter = null;
-        this.belowLevelFilter = null;
-        this.aboveDegreesFilter = null;
-        this.belowDegreesFilter = null;
-        this.withProbabilityFilter = 1;
-
-        print("Execution complete.");
-        print("For updates and support, visit: https://github.com/BurgerXXL420/WorldPainter-CustomFilterScript.");
-        print("Script by BurgerXXL.");
-        print("Thank you for using this tool!");
-        }
+// Converts a value passed to a filter back into recipe form. Throws for values that cannot be written as text
+function recipeValue(label, method, value, isTarget){
+    var unwritable = function(what){
+        return new Error(label + ": " + method + " uses " + what + ", which cannot be written to a presets file. Write this filter into the file by hand");
     };
+    if (Array.isArray(value)){
+        return value.map(function(item){
+            return recipeValue(label, method, item, isTarget);
+        });
+    }
+    if (isTarget && value === WATER){
+        return "WATER";
+    }
+    if (isTarget && value === MAP_EDGE){
+        return "MAP_EDGE";
+    }
+    if (typeof value === "number" && !isFinite(value)){
+        throw unwritable(String(value));
+    }
+    if (value === null || typeof value !== "object"){
+        return value;
+    }
+    if (isLayer(value)){
+        throw unwritable("the layer " + describeValue(value) + ", whose file is not known");
+    }
+    if (isPredicate(value)){
+        throw unwritable("a predicate");
+    }
+    if (typeof value.name === "function"){
+        // Terrains are written by their enum name, e.g. "SAND"
+        return String(value.name());
+    }
+    var copy = {};
+    for (var key in value){
+        copy[key] = recipeValue(label, method, value[key], false);
+    }
+    return copy;
+}
 
+// Returns the filters of a preset in recipe form
+function presetFilters(name){
+    var preset = presets[name];
+    if (preset.filters !== null){
+        return preset.filters;
+    }
+    var label = "preset \"" + name + "\"", filters = {};
+    for (var i = 0; i < preset.calls.length; i++){
+        var method = preset.calls[i].method, type = PIPELINE_ARGUMENT_TYPES[method];
+        if (filters[method] !== undefined){
+            throw new Error(label + " uses " + method + " twice, which the recipe form cannot hold. Combine the values into one call");
+        }
+        var values = preset.calls[i].args.map(function(arg, index){
+            return recipeValue(label, method, arg, type === "target" && index == 0);
+        });
+        filters[method] = (values.length == 0) ? true
+            : ((type === "single" || (values.length == 1 && !Array.isArray(values[0]))) ? values[0] : values);
+    }
+    return filters;
+}
 
+// Defines a preset from filters in recipe form, e.g. definePreset("beach", {onlyOnTerrain: "GRASS", withinDistanceOf: ["WATER", 6]}).
+// A preset of the same name is replaced
+function definePreset(name, filters){
+    requirePresetName("definePreset", arguments);
+    presets[name] = presetFromFilters(name, filters, createRecipeResolver(null));
+}
 
-// ---------------------------------------------------------------------- //
-// --------------------- Object for Setting Terrain --------------------- //
-// ---------------------------------------------------------------------- //
+// Reads the presets of a presets file (see the top of this section) and returns their names. Presets of the same name are
+// replaced. Nothing is read if any preset of the file has an error
+function loadPresets(path){
+    requireDefined("loadPresets", arguments, 0, "the path");
+    path = String(path);
+    if (!java.nio.file.Files.exists(java.nio.file.Paths.get(path))){
+        throw invalidArgument("loadPresets", arguments, "the file does not exist");
+    }
+    var file = JSON.parse(readTextFile(path));
+    if (file === null || typeof file !== "object" || Array.isArray(file)){
+        throw invalidArgument("loadPresets", arguments, "a presets file must hold an object of presets by name");
+    }
+    var resolver = createRecipeResolver(String(java.nio.file.Paths.get(path).toAbsolutePath().getParent().resolve("Layers")));
+    var loaded = {}, names = [];
+    for (var name in file){
+        loaded[name] = presetFromFilters(name, file[name], resolver);
+        names.push(name);
+    }
+    for (var i = 0; i < names.length; i++){
+        presets[names[i]] = loaded[names[i]];
+    }
+    if (isReporting("summary")){
+        print("Read " + names.length + " preset(s) from " + path + ": " + names.join(", "));
+    }
+    return names;
+}
 
+// Writes every preset into a presets file, so loadPresets can read them in later sessions. Presets saved from a filter chain
+// cannot hold layers, predicates from .where() or Infinity, as the file stores layers by file name and everything else as text
+function savePresets(path){
+    requireDefined("savePresets", arguments, 0, "the path");
+    path = String(path);
+    var file = {};
+    for (var name in presets){
+        file[name] = presetFilters(name);
+    }
+    var target = new java.io.File(path);
+    if (target.getAbsoluteFile().getParentFile() !== null){
+        target.getAbsoluteFile().getParentFile().mkdirs();
+    }
+    var out = new java.io.BufferedOutputStream(new java.io.FileOutputStream(target));
+    try {
+        out.write(new java.lang.String(JSON.stringify(file, null, 4) + "\n").getBytes("UTF-8"));
+    } finally {
+        out.close();
+    }
+    if (isReporting("summary")){
+        print("Wrote " + Object.keys(file).length + " preset(s) to " + path + ".");
+    }
+}
 
-var setTerrain = {
 
-    // Initialize filter variables, which can be set by the user through the methods below
-    terrainNameVar: null,
-    onlyOnTerrainFilter: [],
-    exceptOnTerrainFilter: [],
-    onlyOnLayerFilter: [],
-    exceptOnLayerFilter: [],
-    onlyOnWaterFilter: false,
-    exceptOnWaterFilter: false,
-    aboveLevelFilter: null,
-    belowLevelFilter: null,
-    aboveDegreesFilter: null,
-    belowDegreesFilter: null,
-    withProbabilityFilter: 1,
 
-    // Methods to set filters
-    terrainName: function(arg) {
-        this.terrainNameVar = arg;
-        return this;
-    },
-    onlyOnTerrain: function() {
-        this.onlyOnTerrainFilter = Array.prototype.slice.call(arguments); // Convert arguments to an array and store in onlyOnTerrainFilter
-        return this;
-    },
-    exceptOnTerrain: function(){
-        this.exceptOnTerrainFilter = Array.prototype.slice.call(arguments);
-        return this;
-    },
-    onlyOnLayer: function() {
-        this.onlyOnLayerFilter = Array.prototype.slice.call(arguments);
-        return this;
-    },
-    exceptOnLayer: function(){
-        this.exceptOnLayerFilter = Array.prototype.slice.call(arguments);
-        return this;
-    },
-    onlyOnWater: function(){
-        this.onlyOnWaterFilter = true;
-        return this;
-    },
-    exceptOnWater: function(){
-        this.exceptOnWaterFilter = true;
-        return this;
-    },
-    aboveLevel: function(arg){
-        this.aboveLevelFilter = arg;
-        return this;
-    },
-    belowLevel: function(arg){
-        this.belowLevelFilter = arg;
-        return this;
-    },
-    aboveDegrees: function(arg){
-        this.aboveDegreesFilter = degreesToSlope(arg);
-        return this;
-    },
-    belowDegrees: function(arg){
-        this.belowDegreesFilter = degreesToSlope(arg);
-        return this;
-    },
-    withProbability: function(arg){
-        this.withProbabilityFilter = arg;
-        return this;
-    },
+// --------------------------------------------------------------------- //
+// ---------------------------- Decoration ----------------------------- //
+// --------------------------------------------------------------------- //
 
-    // Method to set the layer based on filters
-    go: function(){
 
-        // Determine if onlyOnTerrainFilter and onlyOnLayerFilter are empty
-        var isEmpty_onlyOnTerrainFilter = (this.onlyOnTerrainFilter.length == 0);
-        var isEmpty_onlyOnLayerFilter = (this.onlyOnLayerFilter.length == 0);
+// Ready-made operations built on setLayer for decoration layers, i.e. custom object layers such as plants, rocks or carpets.
 
-        // Get dimension measurements
-        var dimMeasure = dimension.getExtent();
-        var dimHeight = dimMeasure.height * 128;
-        var dimWidth = dimMeasure.width * 128;
-        var xMin = dimMeasure.getX() * 128;
-        var yMin = dimMeasure.getY()* 128;
-
-        // Loop through all coordinates
-        for (var x = xMin; x <= dimWidth; x++){
-            for (var y = yMin; y <= dimHeight; y++){  
-
-                var height = dimension.getIntHeightAt(x,y);
-                var slope = dimension.getSlope(x,y);
-
-                    // Check all conditions set by the user
-                    if ((Math.random() <= this.withProbabilityFilter)
-                        && (isEmpty_onlyOnTerrainFilter || isTerrainAt(this.onlyOnTerrainFilter, x, y)) 
-                        && !isTerrainAt(this.exceptOnTerrainFilter, x, y) 
-                        && (isEmpty_onlyOnLayerFilter || isLayerAt(this.onlyOnLayerFilter, x, y)) 
-                        && !isLayerAt(this.exceptOnLayerFilter, x, y)
-                        && (!this.onlyOnWaterFilter || isWater(x, y))
-                        && (!this.exceptOnWaterFilter || !isWater(x, y))
-                        && ((this.belowLevelFilter === null && this.aboveLevelFilter === null) 
-                            || (this.belowLevelFilter !== null && height <= this.belowLevelFilter) 
-                            || (this.aboveLevelFilter !== null && height >= this.aboveLevelFilter))
-                        && ((this.belowDegreesFilter === null && this.aboveDegreesFilter === null) 
-                            || (this.belowDegreesFilter !== null && slope <= this.belowDegreesFilter) 
-                            || (this.aboveDegreesFilter !== null && slope >= this.aboveDegreesFilter))) {
-                        dimension.setTerrainAt(x, y, this.terrainNameVar); // Set the terrain if all conditions are met
-                    }
-                }
+// Share of the matching columns scatterLayer places the layer on unless density says otherwise
+var SCATTER_DENSITY = 0.1;
+
+// Scatters a bit layer over the matching columns, e.g. scatterLayer(red_carpet, {density: 0.2, minSpacing: 3, filters: "beach"}).
+// Options (all optional):
+//   density: share of the matching columns that get the layer, from 0 to 1, default SCATTER_DENSITY. minSpacing lowers it further
+//   minSpacing: blocks kept free between two placements (see withMinSpacing), default none
+//   clumps: options of withNoise, e.g. {scale: 24}, to place the layer in patches rather than evenly
+//   filters: filters in recipe form (see Batch Pipeline), e.g. {onlyOnTerrain: "GRASS", exceptOnWater: true}, or the name of a preset
+//   seed: seed for a repeatable result
+//   run: "go" (default), "count" or "dryRun"
+// Runs on the global setLayer, so it refuses to start while a setLayer chain is left unfinished. Returns what the run returns
+function scatterLayer(layer, options){
+    toLayer("scatterLayer", arguments, 0, true);
+    options = options || {};
+    var density = (options.density === undefined) ? SCATTER_DENSITY : options.density;
+    requireNumberValue("scatterLayer", arguments, density, "density", 0, 1);
+    var run = (options.run === undefined) ? "go" : options.run;
+    if (["go", "count", "dryRun"].indexOf(run) < 0){
+        throw invalidArgument("scatterLayer", arguments, "run must be \"go\", \"count\" or \"dryRun\", got " + describeValue(run));
+    }
+
+    // Resetting setLayer here would silently drop a chain the script is still building
+    if (setLayer.layerNameVar !== null || setLayer.filterCalls.length > 0 || setLayer.seedVar !== null || setLayer.recordUndoVar
+            || setLayer.maxSecondsVar !== null || setLayer.maxChangesVar !== null){
+        throw invalidArgument("scatterLayer", arguments, "setLayer has settings that were never run. Finish that chain with .go() or call setLayer.reset() first");
+    }
+    var action = setLayer.layerName(layer);
+    try {
+        if (typeof options.filters === "string"){
+            action.usePreset(options.filters);
+        } else if (options.filters !== undefined){
+            var calls = recipeFilterCalls("scatterLayer filters", options.filters, createRecipeResolver(null));
+            for (var i = 0; i < calls.length; i++){
+                action[calls[i].method].apply(action, calls[i].args);
             }
-        // Reset properties of removeLayer object
-        this.terrainName = null;
-        this.onlyOnTerrainFilter = [];
-        this.exceptOnTerrainFilter = [];
-        this.onlyOnLayerFilter = [];
-        this.exceptOnLayerFilter = [];
-        this.onlyOnWaterFilter = false;
-        this.exceptOnWaterFilter = false;
-        this.aboveLevelFilter = null;
-        this.belowLevelFilter = null;
-        this.aboveDegreesFilter = null;
-        this.belowDegreesFilter = null;
-        this.withProbabilityFilter = 1;
-
-        print("Execution complete.");
-        print("For updates and support, visit: https://github.com/BurgerXXL420/WorldPainter-CustomFilterScript.");
-        print("Script by BurgerXXL.");
-        print("Thank you for using this tool!");
         }
-    };
+        action.withProbability(density);
+        if (options.minSpacing !== undefined){
+            action.withMinSpacing(options.minSpacing);
+        }
+        if (options.clumps !== undefined){
+            action.withNoise(options.clumps);
+        }
+        if (options.seed !== undefined){
+            action.withSeed(options.seed);
+        }
+    } catch (e){
+        action.reset();
+        throw e;
+    }
+    return action[run]();
+}
 
 
 
@@ -450,10 +4494,10 @@ var setTerrain = {
 
 // For setting a layer:
 setLayer.layerName(my_layer0) // Required. Load my_layer0 first. See WorldPainter API documentation or the example below.
-        .aboveLevel(122) // Optional. Apply the operation at and above the specified terrain level.
-        .belowLevel(40) // Optional. Apply the operation at and below the specified terrain level.
-        .aboveDegrees(45) // Optional. Apply the operation on slopes steeper than the specified degree.
-        .belowDegrees(20) // Optional. Apply the operation on slopes less steep than the specified degree.
+        .aboveLevel(40) // Optional. Apply the operation at and above the specified terrain level.
+        .belowLevel(122) // Optional. Apply the operation at and below the specified terrain level.
+        .aboveDegrees(20) // Optional. Apply the operation on slopes steeper than the specified degree.
+        .belowDegrees(45) // Optional. Apply the operation on slopes less steep than the specified degree.
         .onlyOnTerrain(my_terrain1, my_terrain2) // Optional. Apply the operation only on the specified terrains. Multiple terrains can be entered, separated by commas. Ensure terrain is loaded first.
         .onlyOnLayer(my_layer1, my_layer2) // Optional. Apply the operation only on the specified layers. Multiple layers can be entered, separated by commas. Ensure layers are loaded first.
         .onlyOnWater() // Optional. Apply the operation only on flooded areas.
@@ -466,10 +4510,10 @@ setLayer.layerName(my_layer0) // Required. Load my_layer0 first. See WorldPainte
 
 // For removing a layer:
 removeLayer.layerName(my_layer0) // Required. Load my_layer0 first. See WorldPainter API documentation or the example below.
-        .aboveLevel(122) // Optional. Remove the layer at and above the specified terrain level.
-        .belowLevel(40) // Optional. Remove the layer at and below the specified terrain level.
-        .aboveDegrees(45) // Optional. Remove the layer on slopes steeper than the specified degree.
-        .belowDegrees(20) // Optional. Remove the layer on slopes less steep than the specified degree.
+        .aboveLevel(40) // Optional. Remove the layer at and above the specified terrain level.
+        .belowLevel(122) // Optional. Remove the layer at and below the specified terrain level.
+        .aboveDegrees(20) // Optional. Remove the layer on slopes steeper than the specified degree.
+        .belowDegrees(45) // Optional. Remove the layer on slopes less steep than the specified degree.
         .onlyOnTerrain(my_terrain1, my_terrain2) // Optional. Remove the layer only from the specified terrains. Multiple terrains can be entered, separated by commas. Ensure terrain is loaded first.
         .onlyOnLayer(my_layer1, my_layer2) // Optional. Remove the layer only from the specified layers. Multiple layers can be entered, separated by commas. Ensure layers are loaded first.
         .onlyOnWater() // Optional. Remove the layer only from flooded areas.
@@ -482,20 +4526,265 @@ removeLayer.layerName(my_layer0) // Required. Load my_layer0 first. See WorldPai
 
 // For setting terrain:
 setTerrain.terrainName(my_terrain0) // Required. Load my_terrain0 first. See WorldPainter API documentation or the example below.
-        .aboveLevel(122) // Optional. Apply the terrain only at and above the specified terrain level.
-        .belowLevel(40) // Optional. Apply the terrain only at and below the specified terrain level.
-        .aboveDegrees(45) // Optional. Apply the terrain on slopes steeper than the specified degree.
-        .belowDegrees(20) // Optional. Apply the terrain on slopes less steep than the specified degree.
+        .aboveLevel(40) // Optional. Apply the terrain only at and above the specified terrain level.
+        .belowLevel(122) // Optional. Apply the terrain only at and below the specified terrain level.
+        .aboveDegrees(20) // Optional. Apply the terrain on slopes steeper than the specified degree.
+        .belowDegrees(45) // Optional. Apply the terrain on slopes less steep than the specified degree.
         .onlyOnTerrain(my_terrain1, my_terrain2) // Optional. Apply the terrain only on the specified terrains. Multiple terrains can be entered, separated by commas. Ensure terrain is loaded first.
         .onlyOnLayer(my_layer1, my_layer2) // Optional. Apply the terrain only on the specified layers. Multiple layers can be entered, separated by commas. Ensure layers are loaded first.
         .onlyOnWater() // Optional. Apply the terrain only on flooded areas.
         .exceptOnTerrain(my_terrain1, my_terrain2) // Optional. Exclude the specified terrains from applying the terrain.
         .exceptOnLayer(my_layer1, my_layer2) // Optional. Exclude the specified layers from applying the terrain.
         .exceptOnWater() // Optional. Exclude flooded areas from applying the terrain.
+        .onlyInBiome("taiga", "snowy_taiga") // Optional. Apply the terrain only in the specified biomes, by name or ID. Where no biome is painted, the automatic biome counts.
+        .exceptInBiome("desert") // Optional. Exclude the specified biomes from applying the terrain.
         .withProbability(0.5) // Optional. Apply the operation with the specified probability (0.5 means a 50% chance).
         .go(); // Required. Executes the application of the terrain under the specified conditions.
 
-// Note: The order of the methods does not matter as long as .go() is called last.
+// Combining filters (works the same for every action):
+// All filters of an action must pass. Filters can also be grouped with anyOf (OR), allOf (AND) and not, and passed to .where().
+// Note: aboveLevel and belowLevel (and aboveDegrees and belowDegrees) used to be combined with OR. Old scripts such as
+// .aboveLevel(122).belowLevel(40) now match nothing and must be written as .where(anyOf(belowLevel(40), aboveLevel(122))).
+// The predicates onTerrain, onLayer, inBiome, onWater, onTiles, aboveLevel, belowLevel, betweenLevels, aboveDegrees, belowDegrees, betweenDegrees,
+// withProbability, withinRect, withinCircle, withinSelection and the surface filters (onRidge, facing...) take the same arguments as the
+// filter methods of the same name. So do inOcean, inLake, inRiver and onLava (see the water body filters below) and waterDepthBetween.
+setLayer.layerName(my_layer0)
+        .betweenLevels(40, 122) // Optional. Apply the operation from level 40 to level 122, both included.
+        .betweenDegrees(20, 45) // Optional. Apply the operation on slopes from 20 to 45 degrees.
+        .where(anyOf(belowLevel(40), aboveLevel(122))) // Optional. Apply the operation at and below level 40 or at and above level 122.
+        .where(not(allOf(onTerrain(my_terrain1), onLayer(my_layer1)))) // Optional. Exclude columns that have both my_terrain1 and my_layer1.
+        .go();
+
+
+// Randomness (works the same for every action):
+setLayer.layerName(my_layer0)
+        .withProbability(0.5) // Optional. Apply the operation to a random 50% of the matching columns.
+        .withNoise({scale: 32, threshold: 0.6, octaves: 3}) // Optional. Apply the operation in natural clumps about 32 blocks across. A higher threshold gives less coverage.
+        .withMinSpacing(6) // Optional. Keep at least 6 blocks between columns, e.g. for trees or boulders. Combine with withProbability or withNoise.
+        .withSeed(1234) // Optional. Running the script again with the same seed gives the same result.
+        .go();
+
+
+// Filtering by the surroundings of a column (works the same for every action):
+// The target can be a terrain, a bit layer, WATER, MAP_EDGE or a list of these, e.g. [my_terrain1, WATER]. Distances are in blocks.
+setTerrain.terrainName(my_terrain0)
+        .withinDistanceOf(WATER, 6) // Optional. Apply the terrain within 6 blocks of water (the water itself included, add .exceptOnWater() to leave it out).
+        .fartherThan(my_layer1, 3) // Optional. Apply the terrain more than 3 blocks away from my_layer1.
+        .onEdgeOf(my_terrain1, 2) // Optional. Apply the terrain on the outer 2 blocks of areas covered with my_terrain1.
+        .go();
+
+
+// Filtering by the shape of the terrain (works the same for every action, and as predicates of the same name in .where()):
+// Radius and heights are in blocks. The radius is optional and tells how far around each column the terrain is compared.
+setTerrain.terrainName(my_terrain0)
+        .onRidge(2, 8) // Optional. Only on ridges and peaks: at least 2 blocks higher than the terrain 8 blocks away on both sides.
+        .inValley(2, 8) // Optional. Only in valleys: at least 2 blocks lower than the terrain 8 blocks away on both sides.
+        .localReliefAbove(20, 16) // Optional. Only where the terrain within 16 blocks varies by at least 20 blocks (rugged terrain).
+        .localReliefBelow(3, 16) // Optional. Only where the terrain within 16 blocks varies by at most 3 blocks (flat terrain).
+        .convex(1, 8) // Optional. Only where the terrain bulges outwards (hilltops, cliff edges): 1 block above the mean of the terrain 8 blocks away.
+        .concave(1, 8) // Optional. Only where the terrain curves inwards (hollows, foot of slopes).
+        .facing("north", 45) // Optional. Only on slopes facing north, give or take 45 degrees. Also "northeast", "east"... or degrees clockwise from north.
+        .relativeHeight(4, Infinity, 16) // Optional. Only where the height minus the mean height within 16 blocks is from 4 to Infinity.
+        .go();
+
+
+// Filtering by the body of water (works the same for every action, and as predicates inOcean, inLake, inRiver, onLava and waterDepthBetween in .where()):
+// Oceans touch the map edge, lakes and rivers do not. Rivers are at most 12 blocks wide, unless riverWidth says otherwise.
+// Call printWaterBodies() to list the bodies of water of the map with their size and width.
+setLayer.layerName(my_layer0)
+        .onlyInOcean() // Optional. Only in bodies of water that touch the map edge. Use .exceptInOcean() to leave them out.
+        .waterDepthBetween(10, 100) // Optional. Only where the water is from 10 to 100 blocks deep, e.g. prismarine on deep ocean floors.
+        .go();
+setLayer.layerName(my_layer0)
+        .onlyInLake({minArea: 200, maxArea: 5000, riverWidth: 12}) // Optional. Only in lakes of 200 to 5000 columns. All options are optional.
+        .waterDepthBetween(1, 3) // Optional. Only in shallow water, e.g. seagrass.
+        .go();
+setTerrain.terrainName(my_terrain0)
+        .onlyInRiver() // Optional. Only in narrow bodies of water that do not touch the map edge. Use .exceptInRiver() to leave them out.
+        .go();
+setTerrain.terrainName(my_terrain0)
+        .onlyOnLava() // Optional. Only where the terrain is flooded with lava. Use .exceptOnLava() to leave it out.
+        .go();
+
+
+// Limiting any operation to a region of the map (works the same for every action):
+setTerrain.terrainName(my_terrain0)
+        .withinRect(-500, -500, 1200, 800) // Optional. Only within the rectangle between two corners (x1, y1, x2, y2), in blocks.
+        .withinCircle(300, 250, 150) // Optional. Only within the circle around center x, y with the given radius, in blocks.
+        .onlyOnTiles([[0, 0], [1, 0], [-1, 2]]) // Optional. Only on the listed tiles (x, y in tile coordinates, 128 blocks per tile).
+        .withinSelection() // Optional. Only within the area selected with WorldPainter's selection tool.
+        .go();
+
+
+// For setting a nibble layer (value 0-15, e.g. Frost, Trees or a custom layer with intensity):
+setLayerValue.layerName(my_layer0) // Required. Load my_layer0 first.
+        .value(8) // Required. The layer value to set, from 0 to 15.
+        .go(); // Required. All filters shown above can be added before .go().
+setLayerValue.layerName(my_layer0)
+        .valueByHeight(64, 120, 15, 0) // Instead of .value(). From 15 at level 64 down to 0 at level 120, e.g. trees thinning out uphill.
+        .go();
+setLayerValue.layerName(my_layer0)
+        .valueBySlope(20, 45, 0, 15) // Instead of .value(). From 0 at 20 degrees up to 15 at 45 degrees.
+        .go();
+setLayerValue.layerName(my_layer0)
+        .valueByNoise(48, 0, 12) // Instead of .value(). Patches about 48 blocks across with values from 0 to 12. Use .withSeed() for a repeatable result.
+        .mode("add") // Optional. "set" (default) replaces the value, "add" and "subtract" change it, "multiply" scales it (15 keeps it, 8 about halves it).
+        .go();
+// Filtering by the value of a nibble layer (works the same for every action):
+setTerrain.terrainName(my_terrain0)
+        .onlyOnLayer(my_layer1, {min: 5}) // Optional. Only where my_layer1 has a value of at least 5. Without a range any value from 1 passes.
+        .exceptOnLayer(my_layer2, {min: 2, max: 10}) // Optional. Not where my_layer2 has a value from 2 to 10.
+        .go();
+
+
+// For replacing several terrains in one pass (e.g. re-theming a desert into a mesa):
+replaceTerrain.mapping({SAND: "RED_SAND", GRASS: "PODZOL"}) // Required. Source terrain names and what they become. Other terrains are left alone.
+        .go(); // Required. All filters shown above can be added before .go().
+replaceTerrain.mapping([[my_terrain1, my_terrain0], [my_terrain2, my_terrain0]]) // The same with loaded terrains, as a list of [source, target] pairs.
+        .go();
+
+
+// For moving the coverage of bit layers onto another layer:
+convertLayer.from(my_layer1, my_layer2) // Required. The layers to take the coverage from.
+        .to(my_layer0) // Required. The layer that gets the coverage.
+        .keepSource() // Optional. Copy the coverage instead of moving it.
+        .go(); // Required. All filters shown above can be added before .go().
+
+
+// For setting the biome:
+setBiome.biome("desert") // Required. The biome name, the numeric Minecraft biome ID (2 is desert), or "auto" to let WorldPainter choose it again.
+        .go(); // Required. All filters shown above can be added before .go().
+
+
+// For changing the terrain height:
+setHeight.level(64) // Required. Set the terrain height to the specified level.
+        .go(); // Required. All filters shown above can be added before .go().
+raiseHeight.amount(3) // Required. Raise the terrain by the specified number of blocks.
+        .go();
+lowerHeight.amount(3) // Required. Lower the terrain by the specified number of blocks.
+        .go();
+
+
+// For shaping the terrain (all filters shown above can be added before .go(), e.g. .aboveDegrees(50).onlyOnTerrain(my_terrain1)):
+smooth.radius(3) // Required. Average the heights within 3 blocks of each column.
+        .iterations(2) // Optional. Repeat the averaging for a softer result. Default 1.
+        .go();
+terrace.stepHeight(6) // Required. Cut the terrain into steps 6 blocks high.
+        .sharpness(0.8) // Optional. Share of each step that is flattened, from 0 (no change) to 1 (flat steps, the default).
+        .go();
+clampHeight.min(40) // At least one of .min() and .max() is required. Raise lower columns to this level.
+        .max(180) // Lower higher columns to this level.
+        .go();
+applyCurve.curve([[0, 0], [62, 62], [120, 90], [320, 150]]) // Required. Remap heights along [input, output] points, here flattening the mountains.
+        .go();
+erode.iterations(10) // Optional. Number of erosion steps. Default 10.
+        .talus(35) // Optional. Slopes steeper than this angle in degrees are worn down. Default 35.
+        .strength(0.5) // Optional. Share of the excess material moved per step, from 0 to 1. Default 0.5.
+        .go();
+
+
+// For changing water:
+setWaterLevel.level(62) // Required. Set the water level to the specified level, raising or lowering it.
+        .go(); // Required. All filters shown above can be added before .go().
+flood.level(62) // Required. Raise the water level to the specified level where it is lower.
+        .withLava() // Optional. Flood with lava instead of water.
+        .go();
+drain.go(); // Removes water and lava. All filters shown above can be added before .go().
+
+// Checking what an operation would touch before running it (works the same for every action):
+setTerrain.terrainName(my_terrain0)
+        .onlyOnTerrain(my_terrain1)
+        .count(); // Prints and returns the number of matching columns. Nothing is changed.
+setTerrain.terrainName(my_terrain0)
+        .onlyOnTerrain(my_terrain1)
+        .dryRun({ // Prints the number of matching columns, broken down by terrain, height band and tile. Nothing is changed.
+            bandSize: 16, // Optional. Height of the bands in the breakdown.
+            maxRows: 20, // Optional. Number of rows printed per breakdown.
+            preview: true, // Optional. Mark the matches with the Annotations layer to inspect them in the editor.
+            previewColor: 14 // Optional. Annotations color used for the preview (1 to 15).
+        });
+
+// Painting several terrains in one pass (instead of .terrainName()):
+setTerrain.terrainMix([[my_terrain0, 6], [my_terrain1, 3], [my_terrain2, 1]]) // Mix terrains at random by weight: here 60%, 30% and 10%. Use .withSeed() for a repeatable result.
+        .go();
+setTerrain.byHeight([[0, my_terrain0], [70, my_terrain1], [140, my_terrain2]], 4) // Each terrain from its level up to the next band. Optional: blend the boundaries by up to 4 blocks.
+        .go();
+setTerrain.bySlope([[0, my_terrain1], [35, my_terrain2]], 5) // Each terrain from its slope in degrees up to the next band. Optional: blend the boundaries by up to 5 degrees.
+        .go();
+
+
+// Undoing operations (works the same for every action):
+var run = setTerrain.terrainName(my_terrain0)
+        .onlyOnTerrain(my_terrain1)
+        .recordUndo() // Optional. Remember the previous values of the changed columns. .go() then returns the run.
+        .go();
+run.undo(); // Puts back what this run changed.
+lastRun.undo(); // Undoes the most recent recorded run. Call it again to undo the one before.
+checkpoint("before beaches"); // Records every following run, even without .recordUndo().
+setTerrain.terrainName(my_terrain0).withinDistanceOf(WATER, 4).go();
+restore("before beaches"); // Undoes every run since the checkpoint, newest first.
+forgetUndo(); // Frees the memory of all recorded runs and checkpoints.
+
+// Progress and limits (works the same for every action):
+setReporting({ // Optional. Applies to every following run.
+    verbosity: "progress", // Optional. "quiet" prints only warnings, "summary" only the result of each run, "progress" also the progress of long runs (default).
+    progressInterval: 10, // Optional. Seconds between progress messages. Default 10.
+    banner: false // Optional. Print the closing message after each run. Default true.
+});
+setTerrain.terrainName(my_terrain0)
+        .onlyOnTerrain(my_terrain1)
+        .maxSeconds(60) // Optional. Stop the run after 60 seconds. What was changed so far is kept.
+        .maxChanges(100000) // Optional. Stop the run after 100000 columns were changed.
+        .go();
+
+// Mask images (works the same for every action). PNG and PGM files are supported, one pixel per block:
+setTerrain.terrainName(my_terrain0)
+        .onlyWhereMask("C:\\WorldPainter\\Masks\\beaches.png", 128) // Optional. Only where the image is at least this bright (0 to 255, default 128).
+        .exceptWhereMask("C:\\WorldPainter\\Masks\\towns.png", 128, {offsetX: -1024, offsetY: -512, scale: 2}) // Optional. Not where the image is bright. Optional: block coordinates of the top left pixel and blocks per pixel.
+        .go();
+setLayer.layerName(my_layer0)
+        .withinDistanceOf(WATER, 6)
+        .exportMask("C:\\WorldPainter\\Masks\\shore.png"); // Saves the matching columns as a black and white image of the whole map instead of changing it.
+
+// Note: The order of the methods does not matter as long as .go(), .count() .dryRun() or .exportMask() is called last.
+// Note: Terrains can also be given by name, e.g. .onlyOnTerrain("SAND", "GRAVEL") or setTerrain.terrainName("STONE").
+// Note: Every method checks its arguments. A misspelled or unloaded variable, a value out of range or a missing .layerName() stops
+//       the script with a message naming the method and the value before anything is changed. Filters that rule each other out
+//       (e.g. .onlyOnWater().exceptOnWater()) print a warning.
+
+
+// Running a recipe, i.e. a list of operations stored in a JSON file (see Batch Pipeline above for the format):
+runPipeline("C:\\WorldPainter\\Scripts\\Recipes\\example.json");
+// Or enter the path of the recipe as script argument in WorldPainter's script dialog and use:
+runPipeline(recipeFromArguments());
+// Or pass the steps directly:
+runPipeline([
+    {action: "setTerrain", terrain: "SAND", filters: {onlyOnTerrain: "GRASS", withinDistanceOf: ["WATER", 6], belowLevel: 66}},
+    {action: "setLayer", layer: "C:\\WorldPainter\\Scripts\\Layers\\red_carpet.layer", filters: {onlyOnTerrain: ["SAND"], exceptOnWater: true}}
+]);
+
+
+// Presets, i.e. named filter chains that can be added to any action (see Presets above for the file format):
+loadPresets("C:\\WorldPainter\\Scripts\\presets.json"); // Reads the presets of a file kept next to the Layers folder, e.g. "beach".
+setTerrain.terrainName(my_terrain0)
+        .usePreset("beach") // Adds the filters of the preset. Further filters can be added as usual.
+        .go();
+setTerrain.onlyOnTerrain(my_terrain1)
+        .withinDistanceOf(WATER, 4)
+        .savePreset("shore"); // Saves the filters under a name instead of running them. Nothing is changed.
+definePreset("highlands", {aboveLevel: 120, belowDegrees: 30}); // Defines a preset with filters written as in a recipe.
+savePresets("C:\\WorldPainter\\Scripts\\presets.json"); // Writes every preset into the file, for use in later sessions.
+
+
+// Decoration, i.e. scattering custom object layers (plants, rocks, carpets) over the map:
+scatterLayer(my_layer0, { // Required. A bit layer.
+    density: 0.1, // Optional. Share of the matching columns that get the layer, from 0 to 1. Default 0.1.
+    minSpacing: 4, // Optional. Keep at least 4 blocks between placements.
+    clumps: {scale: 24}, // Optional. Place the layer in patches about 24 blocks across (options of withNoise).
+    filters: {onlyOnTerrain: "GRASS", exceptOnWater: true}, // Optional. Filters written as in a recipe, or the name of a preset, e.g. "beach".
+    seed: 1234, // Optional. Running the script again with the same seed gives the same result.
+    run: "dryRun" // Optional. "go" (default), "count" or "dryRun".
+});
 
 // ------ Working Example ------ //
 
@@ -537,3 +4826,14 @@ setTerrain.terrainName(mossyCobblestone)
     .exceptOnLayer(red_carpet, prismarine_slab_bottom)
     .go();
 
+// Example 4: Scatter red carpet over a fifth of the dry sand, at least 3 blocks apart, using the "dryBeach" preset of the bundled presets.json
+loadPresets("C:\\WorldPainter\\Scripts\\presets.json");
+scatterLayer(red_carpet, {density: 0.2, minSpacing: 3, filters: "dryBeach"});
+
+// Example 5: Scatter prismarine slabs in patches on sand and gravel at least 10 blocks under the sea
+scatterLayer(prismarine_slab_bottom, {
+    density: 0.5,
+    clumps: {scale: 16, threshold: 0.5},
+    filters: {onlyInOcean: true, onlyOnTerrain: ["SAND", "GRAVEL"], waterDepthBetween: [10, 1000]}
+});
+
@@ -0,0 +1,174 @@
+// Checks every action on small hand-built grids. Run with: node --test
+
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const {createDimension, createLayer} = require("./support/mock-dimension");
+const {loadScript} = require("./support/load-script");
+
+// Loads the script on a dimension made from the options
+function setup(options){
+    return loadScript({dimension: createDimension(options)});
+}
+
+// Returns the enum name of the terrain at a column
+function terrainName(script, x, y){
+    return script.dimension.getTerrainAt(x, y).name();
+}
+
+test("setLayer and removeLayer", () => {
+    const script = setup({height: (x) => x});
+    const rocks = script.rocks = createLayer("rocks");
+    script.run("setLayer.layerName(rocks).aboveLevel(100).go()");
+    assert.equal(script.dimension.countColumns((x, y) => script.dimension.getBitLayerValueAt(rocks, x, y)), 28 * 128);
+    script.run("removeLayer.layerName(rocks).aboveLevel(120).go()");
+    assert.equal(script.dimension.countColumns((x, y) => script.dimension.getBitLayerValueAt(rocks, x, y)), 20 * 128);
+});
+
+test("setLayerValue sets, adds and ramps values", () => {
+    const script = setup({height: (x) => x});
+    const trees = script.trees = createLayer("trees", "NIBBLE");
+    script.run("setLayerValue.layerName(trees).value(4).go()");
+    assert.equal(script.dimension.getLayerValueAt(trees, 50, 50), 4);
+    script.run("setLayerValue.layerName(trees).value(14).mode(\"add\").go()");
+    assert.equal(script.dimension.getLayerValueAt(trees, 50, 50), 15, "values are clamped to the range of the layer");
+    script.run("setLayerValue.layerName(trees).valueByHeight(0, 127, 0, 15).go()");
+    assert.equal(script.dimension.getLayerValueAt(trees, 0, 5), 0);
+    assert.equal(script.dimension.getLayerValueAt(trees, 127, 5), 15);
+    assert.ok(Math.abs(script.dimension.getLayerValueAt(trees, 64, 5) - 7.5) <= 1);
+    script.run("removeLayer.layerName(trees).go()");
+    assert.equal(script.dimension.getLayerValueAt(trees, 127, 5), 0);
+});
+
+test("setTerrain with one terrain, a mix and height bands", () => {
+    const script = setup({height: (x) => x});
+    script.run("setTerrain.terrainName(\"STONE\").aboveLevel(64).go()");
+    assert.equal(terrainName(script, 63, 0), "GRASS");
+    assert.equal(terrainName(script, 64, 0), "STONE");
+
+    script.run("setTerrain.byHeight([[0, \"SAND\"], [40, \"DIRT\"], [90, \"SNOW\"]]).go()");
+    assert.deepEqual([10, 39, 40, 89, 90].map((x) => terrainName(script, x, 3)), ["SAND", "SAND", "DIRT", "DIRT", "SNOW"]);
+
+    script.run("setTerrain.terrainMix([[\"SAND\", 3], [\"GRAVEL\", 1]]).withSeed(5).go()");
+    const gravel = script.dimension.countColumns((x, y) => terrainName(script, x, y) == "GRAVEL");
+    assert.ok(gravel > 0.2 * 128 * 128 && gravel < 0.3 * 128 * 128, "about a quarter is gravel, got " + gravel);
+});
+
+test("setTerrain can be used again after .go()", () => {
+    // The target used to be reset by overwriting the terrainName method, so the second use failed
+    const script = setup();
+    script.run("setTerrain.terrainName(\"SAND\").withinRect(0, 0, 9, 9).go()");
+    assert.equal(typeof script.setTerrain.terrainName, "function");
+    script.run("setTerrain.terrainName(\"STONE\").withinRect(0, 0, 4, 4).go()");
+    assert.equal(script.dimension.countColumns((x, y) => terrainName(script, x, y) == "SAND"), 75);
+    assert.equal(script.dimension.countColumns((x, y) => terrainName(script, x, y) == "STONE"), 25);
+    assert.throws(() => script.run("setTerrain.go()"), /terrainName/);
+});
+
+test("filters do not carry over to the next run", () => {
+    const script = setup();
+    script.run("setTerrain.terrainName(\"SAND\").withinRect(0, 0, 9, 9).go()");
+    script.run("setTerrain.terrainName(\"STONE\").go()");
+    assert.equal(script.dimension.countColumns((x, y) => terrainName(script, x, y) == "STONE"), 128 * 128);
+});
+
+test("replaceTerrain and convertLayer", () => {
+    const script = setup({terrain: (x) => (x < 64) ? "SAND" : "GRASS"});
+    script.run("replaceTerrain.mapping({SAND: \"RED_SAND\", GRASS: \"DIRT\"}).go()");
+    assert.equal(terrainName(script, 0, 0), "RED_SAND");
+    assert.equal(terrainName(script, 100, 0), "DIRT");
+
+    const from = script.from = createLayer("from"), to = script.to = createLayer("to");
+    script.dimension.paint(0, 0, 9, 9, {layers: [[from, true]]});
+    script.run("convertLayer.from(from).to(to).go()");
+    assert.equal(script.dimension.getBitLayerValueAt(from, 5, 5), false);
+    assert.equal(script.dimension.getBitLayerValueAt(to, 5, 5), true);
+    script.run("convertLayer.from(to).to(from).keepSource().go()");
+    assert.equal(script.dimension.getBitLayerValueAt(to, 5, 5), true);
+    assert.equal(script.dimension.getBitLayerValueAt(from, 5, 5), true);
+});
+
+test("setBiome by name, ID and auto", () => {
+    const script = setup();
+    const biome = script.org.pepsoft.worldpainter.layers.Biome.INSTANCE;
+    script.run("setBiome.biome(\"desert\").withinRect(0, 0, 9, 9).go()");
+    assert.equal(script.dimension.getLayerValueAt(biome, 5, 5), 2);
+    script.run("setBiome.biome(\"auto\").go()");
+    assert.equal(script.dimension.getLayerValueAt(biome, 5, 5), 255);
+    assert.throws(() => script.run("setBiome.biome(\"dessert\")"), /no biome called "dessert"/);
+});
+
+test("height actions", () => {
+    const script = setup({height: 64});
+    script.run("setHeight.level(80).withinRect(0, 0, 9, 9).go()");
+    script.run("raiseHeight.amount(5).withinRect(0, 0, 4, 4).go()");
+    script.run("lowerHeight.amount(500).withinRect(100, 100, 100, 100).go()");
+    assert.equal(script.dimension.getHeightAt(7, 7), 80);
+    assert.equal(script.dimension.getHeightAt(2, 2), 85);
+    assert.equal(script.dimension.getHeightAt(100, 100), -64, "heights stay within the build limits");
+});
+
+test("height actions see the original terrain in their filters", () => {
+    // Columns raised earlier in the scan used to make their neighbors too steep for the slope filter
+    const script = setup({height: 64});
+    assert.equal(script.run("raiseHeight.amount(20).belowDegrees(10).count()"), 128 * 128);
+    script.run("raiseHeight.amount(20).belowDegrees(10).go()");
+    assert.equal(script.dimension.countColumns((x, y) => script.dimension.getHeightAt(x, y) == 84), 128 * 128);
+});
+
+test("water actions", () => {
+    const script = setup({height: (x) => (x < 64) ? 50 : 70, waterLevel: 40});
+    const lava = script.org.pepsoft.worldpainter.layers.FloodWithLava.INSTANCE;
+    script.run("flood.level(62).go()");
+    assert.equal(script.dimension.getWaterLevelAt(0, 0), 62);
+    script.run("flood.level(55).withLava().go()");
+    assert.equal(script.dimension.getWaterLevelAt(0, 0), 62, "flood never lowers the water");
+    script.run("setWaterLevel.level(30).withinRect(0, 0, 9, 9).go()");
+    assert.equal(script.dimension.getWaterLevelAt(5, 5), 30);
+    script.run("flood.level(70).withLava().withinRect(0, 0, 9, 9).go()");
+    assert.equal(script.dimension.getBitLayerValueAt(lava, 5, 5), true);
+    script.run("drain.go()");
+    assert.equal(script.dimension.getBitLayerValueAt(lava, 5, 5), false);
+    assert.equal(script.dimension.countColumns((x, y) => script.dimension.getWaterLevelAt(x, y) > script.dimension.getHeightAt(x, y)), 0);
+});
+
+test("smooth evens out a step", () => {
+    const script = setup({height: (x) => (x < 64) ? 60 : 80});
+    script.run("smooth.radius(4).go()");
+    assert.ok(Math.abs(script.dimension.getHeightAt(10, 10) - 60) < 1e-6);
+    assert.ok(Math.abs(script.dimension.getHeightAt(120, 10) - 80) < 1e-6);
+    const left = script.dimension.getHeightAt(63, 10), right = script.dimension.getHeightAt(64, 10);
+    assert.ok(left > 60 && left < 70 && right > 70 && right < 80, "the step is smoothed, got " + left + " and " + right);
+});
+
+test("terrace, clampHeight and applyCurve", () => {
+    const script = setup({height: (x) => x});
+    script.run("terrace.stepHeight(10).go()");
+    assert.deepEqual([0, 9, 10, 59, 60].map((x) => script.dimension.getHeightAt(x, 0)), [0, 0, 10, 50, 60]);
+    script.run("clampHeight.min(20).max(100).go()");
+    assert.deepEqual([0, 50, 127].map((x) => script.dimension.getHeightAt(x, 0)), [20, 50, 100]);
+    script.run("applyCurve.curve([[20, 40], [100, 60]]).go()");
+    assert.deepEqual([0, 60, 127].map((x) => script.dimension.getHeightAt(x, 0)), [40, 50, 60]);
+});
+
+test("erode wears down a spike without losing material", () => {
+    const script = setup({height: 64});
+    script.dimension.paint(64, 64, 64, 64, {height: 120});
+    script.run("erode.iterations(10).go()");
+    let total = 0;
+    script.dimension.forEachColumn((x, y) => {
+        total += script.dimension.getHeightAt(x, y);
+    });
+    assert.ok(script.dimension.getHeightAt(64, 64) < 100);
+    assert.ok(Math.abs(total - (128 * 128 * 64 + 56)) < 1e-6, "the total height stays the same, got " + total);
+});
+
+test("arguments are checked before anything is changed", () => {
+    const script = setup();
+    assert.throws(() => script.run("setLayer.go()"), /layerName/);
+    assert.throws(() => script.run("setLayer.layerName(undefined)"), /setLayer\.layerName\(undefined\)/);
+    assert.throws(() => script.run("setTerrain.terrainName(\"SANDD\")"), /there is no terrain called "SANDD"/);
+    assert.throws(() => script.run("setHeight.level(64).withProbability(1.5)"), /withProbability\(1\.5\): the probability must be a number from 0 to 1/);
+    assert.equal(script.dimension.writes, 0);
+});
@@ -0,0 +1,328 @@
+// Checks every filter on small hand-built grids by counting the columns an action marks. Run with: node --test
+
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const {createDimension, createLayer} = require("./support/mock-dimension");
+const {loadScript} = require("./support/load-script");
+const {encodePng} = require("./support/java");
+
+// Loads the script on a dimension made from the options and adds the layer "marker" to mark matching columns
+function setup(options){
+    const dimension = createDimension(options);
+    const script = loadScript({dimension});
+    script.marker = createLayer("marker");
+    return script;
+}
+
+// Runs setLayer with the marker and the given filter chain and returns the number of marked columns
+function countMarked(script, filters){
+    script.run("setLayer.layerName(marker)" + filters + ".go()");
+    return script.dimension.countColumns((x, y) => script.dimension.getBitLayerValueAt(script.marker, x, y));
+}
+
+test("terrain filters", () => {
+    const script = setup({terrain: (x) => (x < 32) ? "SAND" : (x < 48) ? "GRAVEL" : "GRASS"});
+    assert.equal(countMarked(script, ".onlyOnTerrain(\"SAND\", \"GRAVEL\")"), 48 * 128);
+    assert.equal(setup({terrain: (x) => (x < 32) ? "SAND" : "GRASS"}).run("setLayer.layerName(marker).exceptOnTerrain(\"SAND\").count()"), 96 * 128);
+});
+
+test("layer filters, including ranges of layers with values", () => {
+    const script = setup();
+    const trees = script.trees = createLayer("trees", "NIBBLE");
+    script.dimension.paint(0, 0, 9, 127, {layers: [[trees, 3]]});
+    script.dimension.paint(10, 0, 19, 127, {layers: [[trees, 12]]});
+    assert.equal(script.run("setLayer.layerName(marker).onlyOnLayer(trees).count()"), 20 * 128);
+    assert.equal(script.run("setLayer.layerName(marker).onlyOnLayer(trees, {min: 5}).count()"), 10 * 128);
+    assert.equal(script.run("setLayer.layerName(marker).exceptOnLayer(trees, {max: 3}).count()"), 118 * 128);
+    assert.equal(countMarked(script, ".onlyOnLayer(trees, {min: 1, max: 3})"), 10 * 128);
+});
+
+test("water filters", () => {
+    const script = setup({height: (x) => (x < 40) ? 50 : 70, waterLevel: 62});
+    assert.equal(script.run("setLayer.layerName(marker).onlyOnWater().count()"), 40 * 128);
+    assert.equal(countMarked(script, ".exceptOnWater()"), 88 * 128);
+});
+
+test("height filters", () => {
+    // Levels are included, so heights 0 to 10 are at or below level 10
+    const script = setup({height: (x) => x});
+    assert.equal(script.run("setLayer.layerName(marker).aboveLevel(100).count()"), 28 * 128);
+    assert.equal(script.run("setLayer.layerName(marker).belowLevel(10).count()"), 11 * 128);
+    assert.equal(countMarked(script, ".betweenLevels(20, 29)"), 10 * 128);
+});
+
+test("slope filters", () => {
+    // Flat west half, a 45 degree ramp in the east half
+    const script = setup({height: (x) => (x < 64) ? 64 : x});
+    assert.equal(script.run("setLayer.layerName(marker).aboveDegrees(30).count()"), 64 * 128);
+    assert.equal(script.run("setLayer.layerName(marker).belowDegrees(30).count()"), 64 * 128);
+    assert.equal(countMarked(script, ".betweenDegrees(40, 50)"), 64 * 128);
+});
+
+test("probability, noise and spacing filters are repeatable with a seed", () => {
+    const script = setup();
+    const half = script.run("setLayer.layerName(marker).withProbability(0.5).withSeed(7).count()");
+    assert.ok(half > 0.45 * 128 * 128 && half < 0.55 * 128 * 128, "about half the columns pass, got " + half);
+    assert.equal(script.run("setLayer.layerName(marker).withProbability(0.5).withSeed(7).count()"), half);
+    const clumps = script.run("setLayer.layerName(marker).withNoise({scale: 16, threshold: 0.5}).withSeed(3).count()");
+    assert.equal(script.run("setLayer.layerName(marker).withNoise({scale: 16, threshold: 0.5}).withSeed(3).count()"), clumps);
+
+    countMarked(script, ".withProbability(0.2).withMinSpacing(5).withSeed(1)");
+    const marked = [];
+    script.dimension.forEachColumn((x, y) => {
+        if (script.dimension.getBitLayerValueAt(script.marker, x, y)){
+            marked.push([x, y]);
+        }
+    });
+    assert.ok(marked.length > 100);
+    const cells = new Map();
+    for (const [x, y] of marked){
+        for (let dy = -5; dy <= 5; dy++){
+            for (let dx = -5; dx <= 5; dx++){
+                const other = cells.get((x + dx) + "," + (y + dy));
+                if (other !== undefined && dx * dx + dy * dy < 25){
+                    assert.fail("columns " + other + " and " + x + "," + y + " are closer than 5 blocks");
+                }
+            }
+        }
+        cells.set(x + "," + y, x + "," + y);
+    }
+});
+
+test("region filters", () => {
+    const script = setup({tiles: [[-1, -1], [0, -1], [-1, 0], [0, 0]]});
+    assert.equal(script.run("setLayer.layerName(marker).withinRect(-10, -10, 9, 9).count()"), 400);
+    assert.equal(script.run("setLayer.layerName(marker).withinRect(9, 9, -10, -10).count()"), 400);
+    assert.equal(script.run("setLayer.layerName(marker).onlyOnTiles([[-1, -1], [0, 0]]).count()"), 2 * 128 * 128);
+    let circle = 0;
+    for (let y = -20; y <= 20; y++){
+        for (let x = -20; x <= 20; x++){
+            circle += (x * x + y * y <= 400) ? 1 : 0;
+        }
+    }
+    assert.equal(countMarked(script, ".withinCircle(0, 0, 20)"), circle);
+});
+
+test("the selection filter", () => {
+    const script = setup();
+    const selection = script.org.pepsoft.worldpainter.selection.SelectionBlock.INSTANCE;
+    script.dimension.paint(5, 5, 14, 14, {layers: [[selection, true]]});
+    assert.equal(countMarked(script, ".withinSelection()"), 100);
+});
+
+test("biome filters see painted and automatic biomes", () => {
+    const script = setup({autoBiome: (x) => (x < 64) ? 2 : 1});
+    const biome = script.org.pepsoft.worldpainter.layers.Biome.INSTANCE;
+    script.dimension.paint(0, 0, 127, 9, {layers: [[biome, 1]]});
+    // Desert (2) is the automatic biome of the west half, except where plains (1) are painted
+    assert.equal(script.run("setLayer.layerName(marker).onlyInBiome(\"desert\").count()"), 64 * 118);
+    assert.equal(countMarked(script, ".exceptInBiome(\"desert\", \"ocean\")"), 64 * 128 + 64 * 10);
+});
+
+test("neighborhood filters", () => {
+    // A square of water from 50 to 59 on a flat map. Within 2 blocks of it lies a 14 x 14 square without 3 columns per corner
+    const script = setup({height: 64, waterLevel: 62});
+    script.dimension.paint(50, 50, 59, 59, {height: 55});
+    assert.equal(script.run("setLayer.layerName(marker).withinDistanceOf(WATER, 2).count()"), 196 - 4 * 3);
+    assert.equal(script.run("setLayer.layerName(marker).onEdgeOf(WATER).count()"), 36);
+    assert.equal(script.run("setLayer.layerName(marker).onEdgeOf(WATER, 2).count()"), 64);
+    assert.throws(() => script.run("setLayer.layerName(marker).onEdgeOf(WATER, 0)"), /onEdgeOf\("water", 0\): the width must be a number of at least 1, got 0/);
+    assert.equal(script.run("setLayer.layerName(marker).withinDistanceOf(MAP_EDGE, 1).count()"), 4 * 127);
+    assert.equal(countMarked(script, ".fartherThan(WATER, 2)"), 128 * 128 - script.run("setLayer.layerName(marker).withinDistanceOf(WATER, 2).count()"));
+});
+
+test("combined filters", () => {
+    const script = setup({height: (x) => x, terrain: (x, y) => (y < 64) ? "SAND" : "GRASS"});
+    assert.equal(script.run("setLayer.layerName(marker).where(anyOf(belowLevel(10), aboveLevel(117))).count()"), 22 * 128);
+    assert.equal(script.run("setLayer.layerName(marker).where(not(onTerrain(\"SAND\"))).belowLevel(10).count()"), 11 * 64);
+    assert.equal(countMarked(script, ".where(allOf(onTerrain(\"SAND\"), aboveLevel(100)))"), 28 * 64);
+});
+
+test("filters that rule each other out print a warning", () => {
+    const script = setup();
+    assert.equal(script.run("setLayer.layerName(marker).onlyOnWater().exceptOnWater().count()"), 0);
+    assert.ok(script.output.some((line) => /^Warning: setLayer: .*No column can match\.$/.test(line)), script.output.join("\n"));
+});
+
+test("below and above filters that do not overlap point to anyOf", () => {
+    const script = setup({height: (x) => x});
+    assert.equal(script.run("setLayer.layerName(marker).aboveLevel(122).belowLevel(40).count()"), 0);
+    assert.ok(script.output.some((line) => line.includes("use .where(anyOf(belowLevel(40), aboveLevel(122))) to match either")), script.output.join("\n"));
+    script.run("setLayer.layerName(marker).aboveDegrees(45).belowDegrees(20).count()");
+    assert.ok(script.output.some((line) => line.includes("use .where(anyOf(belowDegrees(20), aboveDegrees(45)))")), script.output.join("\n"));
+    script.output.length = 0;
+    script.run("setLayer.layerName(marker).betweenLevels(100, 120).belowLevel(40).count()");
+    assert.ok(script.output.some((line) => /do not overlap: at least 100 and at most 40\. No column can match\.$/.test(line)), script.output.join("\n"));
+});
+
+test("masks can be exported and read back", () => {
+    const folder = fs.mkdtempSync(path.join(os.tmpdir(), "wp-mask-"));
+    try {
+        const script = setup({tiles: [[0, 0], [1, 0]], height: (x) => x});
+        const file = path.join(folder, "high.pgm");
+        script.run("setLayer.layerName(marker).aboveLevel(199).exportMask(" + JSON.stringify(file) + ")");
+        assert.equal(script.dimension.writes, 0);
+        assert.equal(countMarked(script, ".onlyWhereMask(" + JSON.stringify(file) + ")"), 57 * 128);
+
+        // A scan that fails partway writes no mask and leaves the action clean
+        const broken = path.join(folder, "broken.pgm");
+        script.run("var getHeightAt = dimension.getHeightAt; dimension.getHeightAt = function(x, y){ if (x >= 128) throw new Error(\"disk error\"); return getHeightAt(x, y); }");
+        assert.throws(() => script.run("setLayer.layerName(marker).aboveLevel(10).exportMask(" + JSON.stringify(broken) + ")"), /disk error/);
+        script.run("dimension.getHeightAt = getHeightAt");
+        assert.equal(fs.existsSync(broken), false);
+        assert.equal(script.run("setLayer.predicates.length"), 0, "the filters were reset");
+
+        const other = setup({tiles: [[0, 0], [1, 0]]});
+        assert.equal(other.run("setLayer.layerName(marker).exceptWhereMask(" + JSON.stringify(file) + ").count()"), 199 * 128);
+        // Half the size, placed at block 0, 0 and stretched back to full size
+        const small = path.join(folder, "small.pgm");
+        fs.writeFileSync(small, Buffer.concat([Buffer.from("P5\n2 1\n255\n"), Buffer.from([0, 255])]));
+        assert.equal(other.run("setLayer.layerName(marker).onlyWhereMask(" + JSON.stringify(small) + ", 128, {scale: 128}).count()"), 128 * 128);
+    } finally {
+        fs.rmSync(folder, {recursive: true, force: true});
+    }
+});
+
+test("PNG masks can be exported and read back", () => {
+    const folder = fs.mkdtempSync(path.join(os.tmpdir(), "wp-mask-"));
+    try {
+        const script = setup({tiles: [[0, 0], [1, 0]], height: (x) => x});
+        const file = path.join(folder, "high.png");
+        script.run("setLayer.layerName(marker).aboveLevel(199).exportMask(" + JSON.stringify(file) + ")");
+        assert.equal(countMarked(script, ".onlyWhereMask(" + JSON.stringify(file) + ")"), 57 * 128);
+
+        // A gray and an RGB image, two pixels wide, stretched over both tiles
+        const other = setup({tiles: [[0, 0], [1, 0]]});
+        const gray = path.join(folder, "gray.png");
+        fs.writeFileSync(gray, encodePng(2, 1, 1, new Uint8Array([0, 200])));
+        assert.equal(other.run("setLayer.layerName(marker).onlyWhereMask(" + JSON.stringify(gray) + ", 128, {scale: 128}).count()"), 128 * 128);
+        const color = path.join(folder, "color.png");
+        fs.writeFileSync(color, encodePng(2, 1, 3, new Uint8Array([255, 255, 255, 0, 0, 255])));
+        assert.equal(other.run("setLayer.layerName(marker).exceptWhereMask(" + JSON.stringify(color) + ", 128, {scale: 128}).count()"), 128 * 128, "blue is dark");
+    } finally {
+        fs.rmSync(folder, {recursive: true, force: true});
+    }
+});
+
+test("ridge and valley filters", () => {
+    // A ridge along x = 40 and a valley along x = 90, both running north to south
+    const script = setup({height: (x) => 64 + Math.max(0, 10 - Math.abs(x - 40)) - Math.max(0, 10 - Math.abs(x - 90))});
+    assert.equal(script.run("setLayer.layerName(marker).onRidge(2, 4).count()"), 3 * 128);
+    assert.equal(script.run("setLayer.layerName(marker).onRidge(2, 4).withinRect(40, 0, 40, 127).count()"), 128);
+    assert.equal(script.run("setLayer.layerName(marker).onRidge(1, 8).count()"), 7 * 128);
+    assert.equal(countMarked(script, ".inValley()"), 7 * 128);
+    assert.equal(script.dimension.getBitLayerValueAt(script.marker, 90, 50), true);
+    assert.equal(script.dimension.getBitLayerValueAt(script.marker, 40, 50), false);
+});
+
+test("local relief filters", () => {
+    // Steps of 1 block every 4 columns west of x = 64, a cliff of 30 blocks at x = 100
+    const script = setup({height: (x) => (x < 64) ? 64 + Math.floor(x / 4) : (x < 100) ? 80 : 110});
+    assert.equal(script.run("setLayer.layerName(marker).localReliefAbove(20, 4).count()"), 8 * 128);
+    // Flat from 68 to 95 and from 104 to the end of the map, which is left out
+    assert.equal(script.run("setLayer.layerName(marker).localReliefBelow(0, 4).count()"), (28 + 24) * 128);
+    assert.equal(countMarked(script, ".localReliefBelow(2, 4)"), 128 * 128 - 8 * 128);
+});
+
+test("curvature filters", () => {
+    // A square hill with a flat top
+    const script = setup({height: 64});
+    script.dimension.paint(40, 40, 79, 79, {height: 74});
+    const convex = script.run("setLayer.layerName(marker).convex(1, 4).count()");
+    assert.equal(script.run("setLayer.layerName(marker).convex(1, 4).withinRect(40, 40, 79, 79).withinRect(44, 44, 75, 75).count()"), 0);
+    assert.equal(script.run("setLayer.layerName(marker).convex(1, 4).withinRect(40, 40, 79, 79).count()"), convex, "only the rim of the top is convex");
+    assert.equal(script.run("setLayer.layerName(marker).concave(1, 4).where(not(withinRect(36, 36, 83, 83))).count()"), 0);
+    assert.equal(script.run("setLayer.layerName(marker).concave(1, 4).withinRect(40, 40, 79, 79).count()"), 0, "only the foot of the hill is concave");
+    assert.equal(countMarked(script, ".convex(1, 4)"), convex);
+    assert.equal(script.dimension.getBitLayerValueAt(script.marker, 40, 60), true);
+    assert.equal(script.dimension.getBitLayerValueAt(script.marker, 60, 60), false);
+});
+
+test("the facing filter", () => {
+    // A pyramid in the middle of the tile: each side faces away from the top
+    const script = setup({height: (x, y) => 128 - Math.max(Math.abs(x - 63.5), Math.abs(y - 63.5))});
+    const north = script.run("setLayer.layerName(marker).facing(\"north\", 10).count()");
+    assert.ok(north > 60 * 60 / 2, "the north side of the pyramid faces north, got " + north);
+    assert.equal(script.run("setLayer.layerName(marker).facing(\"north\", 10).withinRect(0, 70, 127, 127).count()"), 0);
+    countMarked(script, ".facing(\"South East\", 10)");
+    assert.equal(script.dimension.countColumns((x, y) => script.dimension.getBitLayerValueAt(script.marker, x, y) && Math.abs(x - y) > 1), 0,
+        "only the edge between the south and east sides faces south east");
+    assert.equal(script.run("setLayer.layerName(marker).facing(180, 10).count()"), north);
+    assert.equal(script.run("setLayer.layerName(marker).facing(\"west\", 10).withinRect(0, 60, 10, 60).count()"), 11);
+    assert.equal(setup({height: 64}).run("setLayer.layerName(marker).facing(\"north\", 180).count()"), 0, "flat columns face nowhere");
+    assert.throws(() => script.run("setLayer.layerName(marker).facing(\"up\")"), /there is no direction called "up"/);
+});
+
+test("the relative height filter", () => {
+    // A single mound of 8 blocks on a flat map
+    const script = setup({height: 64});
+    script.dimension.paint(60, 60, 63, 63, {height: 72});
+    assert.equal(script.run("setLayer.layerName(marker).relativeHeight(4, Infinity, 8).count()"), 16);
+    assert.equal(script.run("setLayer.layerName(marker).relativeHeight(-Infinity, -0.01, 8).count()"), 20 * 20 - 16);
+    assert.equal(countMarked(script, ".relativeHeight(-0.001, 0.001)"), 128 * 128 - 36 * 36);
+    assert.throws(() => script.run("setLayer.layerName(marker).relativeHeight(5, 1)"), /the lowest difference must not be above the highest/);
+});
+
+test("surface filters work in recipes", () => {
+    const script = setup({height: (x) => 64 + Math.max(0, 10 - Math.abs(x - 40))});
+    script.run("runPipeline([{action: \"setTerrain\", terrain: \"STONE\", filters: {onRidge: [2, 4], where: {not: {facing: \"east\"}}}}])");
+    assert.equal(script.dimension.countColumns((x, y) => script.dimension.getTerrainAt(x, y).name() == "STONE"), 2 * 128);
+});
+
+test("water body filters", () => {
+    // An ocean along the west edge, a lake across the tile border, a small lake, a river and a lava pool on two tiles
+    const script = setup({tiles: [[0, 0], [1, 0]], height: 70, waterLevel: 62});
+    const lava = script.org.pepsoft.worldpainter.layers.FloodWithLava.INSTANCE;
+    script.dimension.paint(0, 0, 19, 127, {height: 40});
+    script.dimension.paint(100, 40, 129, 79, {height: 60});
+    script.dimension.paint(130, 40, 159, 79, {height: 50});
+    script.dimension.paint(170, 90, 199, 119, {height: 60});
+    script.dimension.paint(40, 100, 79, 103, {height: 60});
+    script.dimension.paint(200, 10, 209, 19, {height: 50, layers: [[lava, true]]});
+    assert.equal(script.run("setLayer.layerName(marker).onlyOnWater().count()"), 2560 + 2400 + 900 + 160 + 100);
+    assert.equal(script.run("setLayer.layerName(marker).onlyInOcean().count()"), 2560);
+    assert.equal(script.run("setLayer.layerName(marker).onlyInLake().count()"), 2400 + 900);
+    assert.equal(script.run("setLayer.layerName(marker).onlyInLake({minArea: 2000}).count()"), 2400, "the lake is joined across the tile border");
+    assert.equal(script.run("setLayer.layerName(marker).onlyInRiver().count()"), 160);
+    assert.equal(script.run("setLayer.layerName(marker).onlyInRiver({riverWidth: 3}).count()"), 0);
+    assert.equal(script.run("setLayer.layerName(marker).onlyOnLava().count()"), 100);
+    assert.equal(script.run("setLayer.layerName(marker).onlyOnWater().exceptInOcean().exceptOnLava().count()"), 2400 + 900 + 160);
+    assert.equal(script.run("setLayer.layerName(marker).waterDepthBetween(10, 100).count()"), 2560 + 1200, "lava has no water depth");
+    assert.equal(countMarked(script, ".onlyInLake().waterDepthBetween(1, 3)"), 1200 + 900);
+    assert.throws(() => script.run("setLayer.layerName(marker).onlyInLake({minArea: -1})"), /minArea/);
+    assert.throws(() => script.run("setLayer.layerName(marker).waterDepthBetween(5, 1)"), /the largest depth/);
+});
+
+test("small ponds count as lakes and winding rivers as rivers", () => {
+    const script = setup({height: 70, waterLevel: 62});
+    script.dimension.paint(10, 10, 29, 29, {height: 60});
+    // A river 3 blocks wide that zigzags across the map
+    for (let n = 0; n < 5; n++){
+        script.dimension.paint(40 + 16 * n, 40, 42 + 16 * n, 100, {height: 60});
+        script.dimension.paint(40 + 16 * n, (n % 2 == 0) ? 98 : 40, 58 + 16 * n, (n % 2 == 0) ? 100 : 42, {height: 60});
+    }
+    assert.equal(script.run("setLayer.layerName(marker).onlyInLake().withinRect(0, 0, 35, 35).count()"), 400);
+    assert.equal(script.run("setLayer.layerName(marker).onlyInRiver().withinRect(0, 0, 35, 35).count()"), 0);
+    assert.equal(script.run("setLayer.layerName(marker).onlyInLake().count()"), 400);
+    assert.ok(script.run("setLayer.layerName(marker).onlyInRiver().count()") > 800);
+});
+
+test("water body filters warn, list bodies and work in recipes", () => {
+    const script = setup({height: 70, waterLevel: 62});
+    script.dimension.paint(0, 0, 9, 127, {height: 40});
+    script.dimension.paint(40, 40, 79, 79, {height: 50});
+    assert.equal(script.run("setLayer.layerName(marker).onlyInLake().exceptOnWater().count()"), 0);
+    assert.ok(script.output.some((line) => /onlyInLake and exceptOnWater are both set/.test(line)), script.output.join("\n"));
+    script.output.length = 0;
+    script.run("printWaterBodies()");
+    assert.match(script.output[0], /^Found 2 bodies of water and lava in .* s\.$/);
+    assert.deepEqual(script.output.slice(1), ["Bodies of water and lava, largest first:",
+        "    lake: 1600 columns, about 40.0 blocks wide", "    ocean: 1280 columns, about 10.0 blocks wide, touches the map edge"]);
+    script.run("runPipeline([{action: \"setTerrain\", terrain: \"STONE\", filters: {onlyInOcean: true, waterDepthBetween: [10, 100]}}])");
+    assert.equal(script.dimension.countColumns((x, y) => script.dimension.getTerrainAt(x, y).name() == "STONE"), 1280);
+});
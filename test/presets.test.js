@@ -0,0 +1,143 @@
+// Checks presets (saving, defining, reading and writing files) and the decoration helpers. Run with: node --test
+
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const {createDimension, createLayer} = require("./support/mock-dimension");
+const {loadScript} = require("./support/load-script");
+
+const PRESETS_FILE = path.join(__dirname, "..", "presets.json");
+
+// Loads the script on a dimension made from the options and adds the layer "marker" to mark matching columns
+function setup(options){
+    const script = loadScript({dimension: createDimension(options)});
+    script.marker = createLayer("marker");
+    return script;
+}
+
+// Returns the number of columns with the given bit layer
+function countLayer(script, layer){
+    return script.dimension.countColumns((x, y) => script.dimension.getBitLayerValueAt(layer, x, y));
+}
+
+// A map with sand below level 64, grass above and water up to level 62
+function beachOptions(){
+    return {height: (x) => x, waterLevel: 62, terrain: (x) => (x < 64) ? "SAND" : "GRASS"};
+}
+
+test("a saved filter chain can be used by any action", () => {
+    const script = setup(beachOptions());
+    assert.equal(script.run("setTerrain.terrainName(\"STONE\").onlyOnTerrain(\"GRASS\").belowLevel(69).savePreset(\"lowGrass\")"), undefined);
+    assert.equal(script.dimension.writes, 0, "saving a preset changes nothing");
+    assert.equal(script.run("setLayer.layerName(marker).usePreset(\"lowGrass\").count()"), 6 * 128);
+    assert.equal(script.run("setTerrain.terrainName(\"DIRT\").usePreset(\"lowGrass\").withinRect(0, 0, 127, 9).count()"), 6 * 10);
+    assert.equal(script.run("setLayer.layerName(marker).count()"), 128 * 128, "the saved chain does not carry over");
+    assert.throws(() => script.run("setLayer.layerName(marker).usePreset(\"highGrass\")"),
+        /setLayer\.usePreset\("highGrass"\): there is no preset with this name\. Presets: \["lowGrass"\]/);
+});
+
+test("presets can be defined with filters written as in a recipe", () => {
+    const script = setup(beachOptions());
+    script.run("definePreset(\"shore\", {onlyOnTerrain: \"SAND\", exceptOnWater: true, where: {not: {belowLevel: 69}}})");
+    assert.equal(script.run("setLayer.layerName(marker).usePreset(\"shore\").count()"), 0);
+    script.run("definePreset(\"shore\", {onlyOnTerrain: \"SAND\", exceptOnWater: true})");
+    assert.equal(script.run("setLayer.layerName(marker).usePreset(\"shore\").count()"), 2 * 128, "a preset of the same name is replaced");
+    assert.throws(() => script.run("definePreset(\"bad\", {onlyOnTerain: \"SAND\"})"), /preset "bad": there is no filter "onlyOnTerain"/);
+    assert.throws(() => script.run("definePreset(\"bad\", {withSeed: 4})"), /there is no filter "withSeed"/);
+    assert.throws(() => script.run("definePreset(\"bad\", {belowLevel: \"high\"})"), /preset "bad"\.belowLevel\("high"\): the level must be a number/);
+    assert.throws(() => script.run("definePreset(\"bad\", {onlyOnTerrain: \"SANDD\"})"), /preset "bad": unknown terrain "SANDD"/);
+});
+
+test("the bundled presets file reads its layers from the Layers folder", () => {
+    const script = setup(beachOptions());
+    assert.deepEqual(Array.from(script.run("loadPresets(" + JSON.stringify(PRESETS_FILE) + ")")), ["beach", "dryBeach", "seaFloor", "deepSeaFloor"]);
+    assert.equal(script.run("setTerrain.terrainName(\"SAND\").usePreset(\"beach\").count()"), 3 * 128);
+    assert.equal(script.run("setLayer.layerName(marker).usePreset(\"dryBeach\").count()"), 2 * 128);
+    assert.throws(() => script.run("loadPresets(\"missing.json\")"), /loadPresets\("missing\.json"\): the file does not exist/);
+});
+
+test("presets are written to a file and read back", () => {
+    const folder = fs.mkdtempSync(path.join(os.tmpdir(), "wp-presets-"));
+    const file = path.join(folder, "presets.json");
+    const script = setup(beachOptions());
+    script.run("setLayer.onlyOnTerrain(\"SAND\").withinDistanceOf([WATER, \"GRASS\"], 2).betweenLevels(60, 70).savePreset(\"shore\")");
+    script.run("definePreset(\"hills\", {aboveLevel: 100, withNoise: {scale: 16}})");
+    script.run("savePresets(" + JSON.stringify(file) + ")");
+    assert.deepEqual(JSON.parse(fs.readFileSync(file, "utf8")), {
+        shore: {onlyOnTerrain: "SAND", withinDistanceOf: [["WATER", "GRASS"], 2], betweenLevels: [60, 70]},
+        hills: {aboveLevel: 100, withNoise: {scale: 16}}
+    });
+
+    const other = setup(beachOptions());
+    other.run("loadPresets(" + JSON.stringify(file) + ")");
+    assert.equal(other.run("setLayer.layerName(marker).usePreset(\"shore\").count()"),
+        script.run("setLayer.layerName(marker).usePreset(\"shore\").count()"));
+
+    script.run("setLayer.onlyOnLayer(marker).savePreset(\"marked\")");
+    assert.throws(() => script.run("savePresets(" + JSON.stringify(file) + ")"), /preset "marked": onlyOnLayer uses the layer marker, whose file is not known/);
+    script.run("setLayer.relativeHeight(4, Infinity).savePreset(\"marked\")");
+    assert.throws(() => script.run("savePresets(" + JSON.stringify(file) + ")"), /relativeHeight uses Infinity/);
+    fs.rmSync(folder, {recursive: true, force: true});
+});
+
+test("recipes read presets files and use presets", () => {
+    const script = setup(beachOptions());
+    script.run("runPipeline({presets: " + JSON.stringify(PRESETS_FILE) + ", steps: [{action: \"setTerrain\", terrain: \"SAND\", filters: {usePreset: \"beach\"}}]})");
+    assert.equal(script.dimension.countColumns((x, y) => script.dimension.getTerrainAt(x, y).name() == "SAND"), 67 * 128);
+    assert.throws(() => script.run("runPipeline([{action: \"setTerrain\", terrain: \"SAND\", filters: {usePreset: \"dunes\"}}])"), /there is no preset with this name/);
+});
+
+test("scatterLayer places a share of the matching columns", () => {
+    const script = setup(beachOptions());
+    const carpet = script.carpet = createLayer("red_carpet");
+    script.run("definePreset(\"grass\", {onlyOnTerrain: \"GRASS\"})");
+    script.run("scatterLayer(carpet, {density: 0.25, filters: \"grass\", seed: 3})");
+    const placed = countLayer(script, carpet);
+    assert.ok(placed > 0.2 * 64 * 128 && placed < 0.3 * 64 * 128, "about a quarter of the grass, got " + placed);
+    assert.equal(script.dimension.countColumns((x, y) => x < 64 && script.dimension.getBitLayerValueAt(carpet, x, y)), 0);
+    assert.equal(script.run("scatterLayer(carpet, {density: 0.25, filters: \"grass\", seed: 3, run: \"count\"})"), placed, "the same seed gives the same result");
+
+    const slabs = script.slabs = createLayer("prismarine_slab_bottom");
+    script.run("scatterLayer(slabs, {density: 1, minSpacing: 5, filters: {onlyOnWater: true}})");
+    script.dimension.forEachColumn((x, y) => {
+        if (script.dimension.getBitLayerValueAt(slabs, x, y)){
+            assert.ok(x < 62, "only under water");
+            for (let dx = -4; dx <= 4; dx++){
+                for (let dy = -4; dy <= 4; dy++){
+                    if ((dx != 0 || dy != 0) && dx * dx + dy * dy < 25){
+                        assert.equal(script.dimension.getBitLayerValueAt(slabs, x + dx, y + dy), false);
+                    }
+                }
+            }
+        }
+    });
+    assert.ok(countLayer(script, slabs) > 100);
+});
+
+test("scatterLayer checks its arguments before anything is changed", () => {
+    const script = setup();
+    script.trees = createLayer("trees", "NIBBLE");
+    script.carpet = createLayer("red_carpet");
+    assert.throws(() => script.run("scatterLayer(trees)"), /only on\/off \(bit\) layers are supported here/);
+    assert.throws(() => script.run("scatterLayer(carpet, {density: 2})"), /scatterLayer\(red_carpet, \{density: 2\}\): density must be a number from 0 to 1, got 2/);
+    assert.throws(() => script.run("scatterLayer(carpet, {run: \"undo\"})"), /run must be "go", "count" or "dryRun"/);
+    assert.throws(() => script.run("scatterLayer(carpet, {filters: {onlyOnTerain: \"SAND\"}})"), /scatterLayer filters: there is no filter "onlyOnTerain"/);
+    assert.throws(() => script.run("scatterLayer(carpet, {minSpacing: -1})"), /setLayer\.withMinSpacing\(-1\)/);
+    assert.equal(script.dimension.writes, 0);
+    assert.equal(script.run("setLayer.layerName(carpet).count()"), 128 * 128, "a failed call leaves setLayer clean");
+});
+
+test("scatterLayer does not drop an unfinished setLayer chain", () => {
+    const script = setup();
+    script.carpet = createLayer("red_carpet");
+    script.run("setLayer.layerName(carpet).belowLevel(10)");
+    assert.throws(() => script.run("scatterLayer(carpet)"), /scatterLayer\(red_carpet\): setLayer has settings that were never run/);
+    assert.equal(script.run("setLayer.filterCalls.length"), 1, "the chain is kept");
+    script.run("setLayer.reset()");
+    script.run("scatterLayer(carpet, {density: 1})");
+    assert.equal(script.dimension.countColumns((x, y) => script.dimension.getBitLayerValueAt(script.carpet, x, y)), 128 * 128);
+});
@@ -0,0 +1,206 @@
+// Checks what happens around a run: counting, dry runs, undo, progress output and limits, and recipes. Run with: node --test
+
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const path = require("path");
+const {createDimension, createLayer, layers} = require("./support/mock-dimension");
+const {loadScript} = require("./support/load-script");
+
+// Loads the script on a dimension made from the options
+function setup(options){
+    return loadScript({dimension: createDimension(options)});
+}
+
+// Returns the enum name of the terrain at a column
+function terrainName(script, x, y){
+    return script.dimension.getTerrainAt(x, y).name();
+}
+
+test("count and dryRun do not change the world", () => {
+    const script = setup({height: (x) => x, terrain: (x) => (x < 64) ? "SAND" : "GRASS"});
+    assert.equal(script.run("setTerrain.terrainName(\"STONE\").belowLevel(79).count()"), 80 * 128);
+    const result = script.run("setTerrain.terrainName(\"STONE\").belowLevel(79).dryRun({bandSize: 40})");
+    assert.equal(result.matched, 80 * 128);
+    assert.equal(result.byTerrain["Sand"], 64 * 128);
+    assert.equal(result.byTerrain["Grass"], 16 * 128);
+    assert.equal(result.byHeight["40 to 79"], 40 * 128);
+    assert.equal(script.dimension.writes, 0);
+});
+
+test("dryRun checks its options and its preview can be cleared", () => {
+    const script = setup({height: (x) => x});
+    const annotations = layers.Annotations;
+    script.marker = createLayer("marker");
+    script.trees = createLayer("trees", "NIBBLE");
+    assert.throws(() => script.run("setLayer.layerName(marker).dryRun({bandSize: -4})"), /bandSize must be a number of at least 1, got -4/);
+    assert.throws(() => script.run("setLayer.layerName(marker).dryRun({bandSize: 0})"), /bandSize must be a number of at least 1, got 0/);
+    assert.throws(() => script.run("setLayer.layerName(marker).dryRun({preview: true, previewColor: 16})"), /previewColor must be a number from 1 to 15, got 16/);
+    assert.throws(() => script.run("setLayer.layerName(marker).dryRun({previewLayer: trees})"), /previewLayer must be an on\/off \(bit\) layer, got trees/);
+    assert.equal(script.dimension.writes, 0);
+
+    const result = script.run("setTerrain.terrainName(\"SAND\").belowLevel(9).dryRun({preview: true, previewColor: 3})");
+    assert.equal(script.dimension.countColumns((x, y) => script.dimension.getLayerValueAt(annotations, x, y) == 3), 10 * 128);
+    assert.equal(result.preview.columnCount, 10 * 128);
+    script.run("lastRun.undo()");
+    assert.equal(script.dimension.countColumns((x, y) => script.dimension.getLayerValueAt(annotations, x, y) != 0), 0);
+});
+
+test("count and dryRun leave the action clean when the scan fails", () => {
+    const script = setup({terrain: "GRASS"});
+    // The terrain of the second tile row cannot be read
+    script.run("var getTerrainAt = dimension.getTerrainAt; dimension.getTerrainAt = function(x, y){ if (y >= 64) throw new Error(\"disk error\"); return getTerrainAt(x, y); }");
+    assert.throws(() => script.run("setTerrain.terrainName(\"SAND\").onlyOnTerrain(\"GRASS\").count()"), /disk error/);
+    assert.equal(script.run("setTerrain.predicates.length"), 0, "the filters were reset");
+    assert.throws(() => script.run("setTerrain.terrainName(\"SAND\").belowLevel(100).dryRun({preview: true})"), /disk error/);
+    assert.equal(script.run("setTerrain.predicates.length"), 0, "the filters were reset");
+    assert.equal(script.run("undoHistory.length"), 0, "the partial preview is not kept");
+    assert.equal(script.dimension.countColumns((x, y) => script.dimension.getLayerValueAt(layers.Annotations, x, y) != 0), 0);
+});
+
+test("a recorded run can be undone", () => {
+    const script = setup({terrain: "GRASS"});
+    const run = script.run("setTerrain.terrainName(\"SAND\").withinRect(0, 0, 9, 9).recordUndo().go()");
+    assert.notEqual(run, null);
+    script.run("setTerrain.terrainName(\"STONE\").withinRect(0, 0, 4, 4).recordUndo().go()");
+    script.run("lastRun.undo()");
+    assert.equal(terrainName(script, 2, 2), "SAND");
+    run.undo();
+    assert.equal(terrainName(script, 2, 2), "GRASS");
+    assert.equal(script.run("setTerrain.terrainName(\"SAND\").go()"), null, "runs are not recorded unless asked to");
+});
+
+test("a run can still be undone after forgetUndo", () => {
+    const script = setup({terrain: "GRASS"});
+    const run = script.run("setTerrain.terrainName(\"SAND\").withinRect(0, 0, 9, 9).recordUndo().go()");
+    script.run("forgetUndo()");
+    script.run("setTerrain.terrainName(\"STONE\").withinRect(20, 20, 29, 29).recordUndo().go()");
+    run.undo();
+    assert.equal(terrainName(script, 5, 5), "GRASS");
+    assert.equal(script.run("undoHistory.length"), 1, "the later run is still recorded");
+    script.run("lastRun.undo()");
+    assert.equal(terrainName(script, 25, 25), "GRASS");
+});
+
+test("restore undoes every run since a checkpoint", () => {
+    const script = setup({height: 64});
+    const marker = script.marker = createLayer("marker");
+    script.run("setHeight.level(70).withinRect(0, 0, 9, 9).go()");
+    script.run("checkpoint(\"before\")");
+    script.run("raiseHeight.amount(10).go()");
+    script.run("setLayer.layerName(marker).aboveLevel(75).go()");
+    script.run("smooth.radius(2).go()");
+    script.run("restore(\"before\")");
+    assert.equal(script.dimension.getHeightAt(5, 5), 70);
+    assert.equal(script.dimension.getHeightAt(50, 50), 64);
+    assert.equal(script.dimension.getBitLayerValueAt(marker, 5, 5), false);
+    assert.throws(() => script.run("restore(\"unknown\")"), /unknown/);
+});
+
+test("only changed columns are recorded for undo", () => {
+    const script = setup({terrain: (x) => (x < 32) ? "SAND" : "GRASS", height: (x) => 60 + x / 4});
+    const marker = script.marker = createLayer("marker");
+    script.run("checkpoint(\"start\")");
+    assert.equal(script.run("setTerrain.terrainName(\"SAND\").go()").columnCount, 96 * 128);
+    assert.equal(script.run("setTerrain.terrainName(\"SAND\").go()").columnCount, 0, "a run that changes nothing records nothing");
+    script.run("setLayer.layerName(marker).withinRect(0, 0, 9, 9).go()");
+    assert.equal(script.run("setLayer.layerName(marker).go()").columnCount, 128 * 128 - 100);
+    script.run("smooth.radius(2).go()");
+    script.run("restore(\"start\")");
+    assert.equal(script.dimension.countColumns((x, y) => terrainName(script, x, y) == "GRASS"), 96 * 128);
+    assert.equal(script.dimension.countColumns((x, y) => script.dimension.getBitLayerValueAt(marker, x, y)), 0);
+    assert.equal(script.dimension.countColumns((x, y) => script.dimension.getHeightAt(x, y) == 60 + x / 4), 128 * 128);
+});
+
+test("a run that fails partway can be undone and leaves the action clean", () => {
+    const script = setup({terrain: "GRASS"});
+    script.run("checkpoint(\"start\")");
+    // The terrain of the second tile row cannot be written
+    script.run("var setTerrainAt = dimension.setTerrainAt; dimension.setTerrainAt = function(x, y, terrain){ if (y >= 64) throw new Error(\"disk full\"); setTerrainAt(x, y, terrain); }");
+    assert.throws(() => script.run("setTerrain.terrainName(\"SAND\").onlyOnTerrain(\"GRASS\").go()"), /disk full/);
+    script.run("dimension.setTerrainAt = setTerrainAt");
+    assert.equal(script.dimension.countColumns((x, y) => terrainName(script, x, y) == "SAND"), 64 * 128);
+    assert.equal(script.run("setTerrain.predicates.length"), 0, "the filters were reset");
+    script.run("lastRun.undo()");
+    assert.equal(script.dimension.countColumns((x, y) => terrainName(script, x, y) == "SAND"), 0);
+});
+
+test("the summary counts matched and changed columns", () => {
+    const script = setup({terrain: (x) => (x < 32) ? "SAND" : "GRASS"});
+    script.run("setTerrain.terrainName(\"SAND\").go()");
+    assert.ok(script.output.includes("Changed " + (96 * 128) + " of the " + (128 * 128) + " matching columns."), script.output.join("\n"));
+    assert.ok(script.output.includes("Execution complete."));
+});
+
+test("verbosity and the banner can be turned down", () => {
+    const script = setup();
+    script.run("setReporting({verbosity: \"summary\", banner: false})");
+    script.run("setHeight.level(70).go()");
+    assert.equal(script.output.length, 2, script.output.join("\n"));
+    script.output.length = 0;
+    script.run("setReporting({verbosity: \"quiet\"})");
+    script.run("setHeight.level(75).go()");
+    assert.deepEqual(Array.from(script.output), []);
+    assert.throws(() => script.run("setReporting({verbosity: \"loud\"})"), /verbosity must be one of/);
+});
+
+test("progress is printed during long runs", () => {
+    const script = setup({tiles: [[0, 0], [1, 0], [2, 0], [3, 0]]});
+    // Every call of Date.now() takes a second
+    script.run("var now = 0; Date.now = function(){ return (now += 1000); }");
+    script.run("setReporting({progressInterval: 1}); setHeight.level(70).go()");
+    assert.ok(script.output.some((line) => /^setHeight: \d+% of tiles done \(\d of 4\) after .*, about .* left\.$/.test(line)), script.output.join("\n"));
+});
+
+test("a run stops cleanly at the change or time limit", () => {
+    const script = setup({tiles: [[0, 0], [1, 0]]});
+    script.run("setHeight.level(70).maxChanges(1000).go()");
+    assert.equal(script.dimension.countColumns((x, y) => script.dimension.getHeightAt(x, y) == 70), 1000);
+    assert.ok(script.output.includes("Stopped early: the limit of 1000 changed columns was reached. The rest of the map was not scanned."));
+
+    script.output.length = 0;
+    script.run("setHeight.level(60).withinRect(0, 0, 9, 9).maxChanges(100).go()");
+    assert.equal(script.dimension.countColumns((x, y) => script.dimension.getHeightAt(x, y) == 60), 100);
+    assert.ok(!script.output.some((line) => /^Stopped early/.test(line)), "reaching the limit on the last column is not a stop");
+    assert.ok(script.output.includes("Changed 100 of the 100 matching columns."), script.output.join("\n"));
+
+    script.run("var now = 0; Date.now = function(){ return (now += 1000); }");
+    script.run("setHeight.level(80).maxSeconds(2).go()");
+    assert.equal(script.dimension.countColumns((x, y) => script.dimension.getHeightAt(x, y) == 80), 128 * 128);
+    assert.ok(script.output.some((line) => /^Stopped early: the time limit of 2 s was reached\./.test(line)));
+
+    script.run("setHeight.level(90).go()");
+    assert.equal(script.dimension.countColumns((x, y) => script.dimension.getHeightAt(x, y) == 90), 2 * 128 * 128, "limits do not carry over");
+});
+
+test("a recipe runs its steps in order", () => {
+    const script = setup({height: (x) => (x < 64) ? 60 : 70, waterLevel: 62});
+    script.run("runPipeline([" +
+        "{action: \"setTerrain\", terrain: \"SAND\", filters: {withinDistanceOf: [\"WATER\", 4], exceptOnWater: true}}," +
+        "{action: \"setHeight\", level: 40, filters: {onlyOnWater: true}}])");
+    assert.equal(script.dimension.countColumns((x, y) => terrainName(script, x, y) == "SAND"), 4 * 128);
+    assert.equal(script.dimension.getHeightAt(0, 0), 40);
+});
+
+test("the example recipe loads its layers and runs", () => {
+    const script = setup({height: (x) => 55 + x / 4, terrain: (x, y) => (y < 64) ? "GRASS" : "GRAVEL"});
+    script.run("runPipeline(" + JSON.stringify(path.join(__dirname, "..", "Recipes", "example.json")) + ")");
+    assert.ok(script.output.some((line) => /^Recipe finished: 4 steps/.test(line)), script.output.join("\n"));
+    assert.ok(script.dimension.countColumns((x, y) => terrainName(script, x, y) == "SAND") > 0);
+});
+
+test("a dry-run recipe never changes the world", () => {
+    const script = setup();
+    assert.throws(() => script.run("runPipeline({dryRun: true, steps: [{action: \"setTerrain\", terrain: \"SAND\", run: \"go\"}]})"),
+        /"run": "go" would change the world, but the recipe is a dry run/);
+    script.run("runPipeline({dryRun: true, steps: [{action: \"setTerrain\", terrain: \"SAND\"}, {action: \"setHeight\", level: 70, run: \"count\"}]})");
+    assert.equal(script.dimension.writes, 0);
+});
+
+test("a recipe with errors changes nothing", () => {
+    const script = setup();
+    assert.throws(() => script.run("runPipeline([{action: \"setTerrain\", terrain: \"SAND\"}, {action: \"setTerain\"}, " +
+        "{action: \"setHeight\", level: 64, filters: {belowLevel: \"high\"}}])"), /The recipe has 2 error\(s\), nothing was changed/);
+    assert.equal(script.dimension.writes, 0);
+});
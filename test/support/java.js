@@ -0,0 +1,262 @@
+// Stand-ins for the Java classes the script calls through Nashorn: files and paths, strings with a charset, images and
+// ImageIO, and Java.type() for arrays. Only what the script uses is implemented. ImageIO reads and writes 8 bit gray and
+// RGB PNGs without interlacing.
+
+"use strict";
+
+const fs = require("fs");
+const path = require("path");
+const zlib = require("zlib");
+
+// A java.nio.file.Path over a Node path
+function createPath(value){
+    value = String(value);
+    return {
+        resolve: (other) => createPath(path.resolve(value, String(other))),
+        toAbsolutePath: () => createPath(path.resolve(value)),
+        getParent: () => (path.dirname(value) === value) ? null : createPath(path.dirname(value)),
+        toString: () => value
+    };
+}
+
+function File(value){
+    this.value = String(value);
+}
+File.prototype = {
+    isFile(){
+        return fs.existsSync(this.value) && fs.statSync(this.value).isFile();
+    },
+    getAbsolutePath(){
+        return path.resolve(this.value);
+    },
+    getAbsoluteFile(){
+        return new File(path.resolve(this.value));
+    },
+    getParentFile(){
+        return (path.dirname(this.value) === this.value) ? null : new File(path.dirname(this.value));
+    },
+    mkdirs(){
+        fs.mkdirSync(this.value, {recursive: true});
+        return true;
+    },
+    toPath(){
+        return createPath(this.value);
+    },
+    toString(){
+        return this.value;
+    }
+};
+
+function FileOutputStream(file){
+    this.fd = fs.openSync(String(file), "w");
+}
+
+function BufferedOutputStream(out){
+    this.out = out;
+}
+BufferedOutputStream.prototype = {
+    write(bytes){
+        fs.writeSync(this.out.fd, Buffer.from(bytes));
+    },
+    close(){
+        fs.closeSync(this.out.fd);
+    }
+};
+
+// java.lang.String from a string, or from bytes and a charset name
+function JavaString(value, charset){
+    this.value = (typeof value === "string") ? value : Buffer.from(value).toString(/^utf-?8$/i.test(charset) ? "utf8" : "latin1");
+}
+JavaString.prototype = {
+    getBytes(charset){
+        return Buffer.from(this.value, /^utf-?8$/i.test(charset || "UTF-8") ? "utf8" : "latin1");
+    },
+    toString(){
+        return this.value;
+    }
+};
+
+// A BufferedImage of TYPE_BYTE_GRAY (the default) or TYPE_INT_RGB with the raster methods the mask export and import use
+function BufferedImage(width, height, type){
+    const bands = (type === BufferedImage.TYPE_INT_RGB) ? 3 : 1;
+    const data = new Uint8Array(width * height * bands);
+    this.width = width;
+    this.height = height;
+    this.raster = {
+        setSample(x, y, band, value){
+            if (x < 0 || y < 0 || x >= width || y >= height){
+                throw new Error("Coordinate out of bounds: " + x + ", " + y);
+            }
+            data[(y * width + x) * bands + band] = value;
+        },
+        getSample: (x, y, band) => data[(y * width + x) * bands + (band || 0)],
+        getNumBands: () => bands,
+        getSampleModel: () => ({getSampleSize: () => 8}),
+        // Like Nashorn, which cannot pick between the int[], float[] and double[] versions when the array is null
+        getPixels(x, y, w, h, array){
+            if (array === null || array === undefined){
+                throw new TypeError("Can't unambiguously select between fixed arity signatures of getPixels");
+            }
+            for (let row = 0; row < h; row++){
+                for (let i = 0; i < w * bands; i++){
+                    array[row * w * bands + i] = data[((y + row) * width + x) * bands + i];
+                }
+            }
+            return array;
+        },
+        getDataBuffer: () => ({getData: () => data})
+    };
+}
+BufferedImage.TYPE_INT_RGB = 1;
+BufferedImage.TYPE_BYTE_GRAY = 10;
+BufferedImage.prototype = {
+    getWidth(){
+        return this.width;
+    },
+    getHeight(){
+        return this.height;
+    },
+    getRaster(){
+        return this.raster;
+    },
+    getColorModel(){
+        return {};
+    }
+};
+
+const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+
+const CRC_TABLE = Array.from({length: 256}, (_, n) => {
+    let c = n;
+    for (let k = 0; k < 8; k++){
+        c = (c & 1) ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    }
+    return c >>> 0;
+});
+
+// Returns the CRC-32 of a PNG chunk type and data
+function crc32(bytes){
+    let c = 0xffffffff;
+    for (const byte of bytes){
+        c = CRC_TABLE[(c ^ byte) & 0xff] ^ (c >>> 8);
+    }
+    return (c ^ 0xffffffff) >>> 0;
+}
+
+// Returns a PNG chunk with its length and CRC
+function pngChunk(type, data){
+    const body = Buffer.concat([Buffer.from(type, "latin1"), data]);
+    const length = Buffer.alloc(4);
+    length.writeUInt32BE(data.length);
+    const crc = Buffer.alloc(4);
+    crc.writeUInt32BE(crc32(body));
+    return Buffer.concat([length, body, crc]);
+}
+
+// Encodes an 8 bit gray (1 band) or RGB (3 bands) image, samples row by row, as PNG
+function encodePng(width, height, bands, samples){
+    const header = Buffer.alloc(13);
+    header.writeUInt32BE(width, 0);
+    header.writeUInt32BE(height, 4);
+    header[8] = 8;
+    header[9] = (bands == 3) ? 2 : 0;
+    const rows = Buffer.alloc(height * (width * bands + 1));
+    for (let y = 0; y < height; y++){
+        rows.set(samples.subarray(y * width * bands, (y + 1) * width * bands), y * (width * bands + 1) + 1);
+    }
+    return Buffer.concat([PNG_SIGNATURE, pngChunk("IHDR", header), pngChunk("IDAT", zlib.deflateSync(rows)), pngChunk("IEND", Buffer.alloc(0))]);
+}
+
+// Decodes a PNG into a BufferedImage, or returns null if the bytes are not a PNG
+function decodePng(bytes){
+    if (bytes.length < 8 || !bytes.subarray(0, 8).equals(PNG_SIGNATURE)){
+        return null;
+    }
+    let header = null;
+    const data = [];
+    for (let offset = 8; offset + 8 <= bytes.length;){
+        const length = bytes.readUInt32BE(offset);
+        const type = bytes.toString("latin1", offset + 4, offset + 8);
+        const body = bytes.subarray(offset + 8, offset + 8 + length);
+        if (type == "IHDR"){
+            header = {width: body.readUInt32BE(0), height: body.readUInt32BE(4), depth: body[8], colorType: body[9], interlace: body[12]};
+        } else if (type == "IDAT"){
+            data.push(body);
+        }
+        offset += 12 + length;
+    }
+    if (header === null || header.depth != 8 || (header.colorType != 0 && header.colorType != 2) || header.interlace != 0){
+        throw new Error("only 8 bit gray and RGB PNGs without interlacing are supported in tests");
+    }
+    const {width, height} = header;
+    const bands = (header.colorType == 2) ? 3 : 1;
+    const stride = width * bands;
+    const rows = zlib.inflateSync(Buffer.concat(data));
+    const samples = new Uint8Array(height * stride);
+    for (let y = 0; y < height; y++){
+        const filter = rows[y * (stride + 1)];
+        for (let i = 0; i < stride; i++){
+            const raw = rows[y * (stride + 1) + 1 + i];
+            const left = (i >= bands) ? samples[y * stride + i - bands] : 0;
+            const up = (y > 0) ? samples[(y - 1) * stride + i] : 0;
+            const upLeft = (y > 0 && i >= bands) ? samples[(y - 1) * stride + i - bands] : 0;
+            let predicted = 0;
+            if (filter == 1){
+                predicted = left;
+            } else if (filter == 2){
+                predicted = up;
+            } else if (filter == 3){
+                predicted = (left + up) >> 1;
+            } else if (filter == 4){
+                const p = left + up - upLeft;
+                const pa = Math.abs(p - left), pb = Math.abs(p - up), pc = Math.abs(p - upLeft);
+                predicted = (pa <= pb && pa <= pc) ? left : (pb <= pc) ? up : upLeft;
+            }
+            samples[y * stride + i] = (raw + predicted) & 0xff;
+        }
+    }
+    const image = new BufferedImage(width, height, (bands == 3) ? BufferedImage.TYPE_INT_RGB : BufferedImage.TYPE_BYTE_GRAY);
+    image.getRaster().getDataBuffer().getData().set(samples);
+    return image;
+}
+
+// Java.type() for the array types the script creates
+const Java = {
+    type(name){
+        if (name != "int[]"){
+            throw new Error("Java.type(\"" + name + "\") is not supported in tests");
+        }
+        return function IntArray(length){
+            return new Int32Array(length);
+        };
+    }
+};
+
+const java = {
+    io: {File, FileOutputStream, BufferedOutputStream},
+    nio: {file: {
+        Paths: {get: (value) => createPath(value)},
+        Files: {
+            exists: (value) => fs.existsSync(String(value)),
+            readAllBytes: (value) => new Uint8Array(fs.readFileSync(String(value)))
+        }
+    }},
+    lang: {String: JavaString},
+    awt: {image: {BufferedImage, IndexColorModel: function IndexColorModel(){}}}
+};
+
+const javax = {imageio: {ImageIO: {
+    read(file){
+        return decodePng(fs.readFileSync(String(file)));
+    },
+    write(image, format, file){
+        if (String(format).toLowerCase() != "png"){
+            return false;
+        }
+        const raster = image.getRaster();
+        fs.writeFileSync(String(file), encodePng(image.getWidth(), image.getHeight(), raster.getNumBands(), raster.getDataBuffer().getData()));
+        return true;
+    }
+}}};
+
+module.exports = {Java, java, javax, encodePng};
@@ -0,0 +1,93 @@
+// Loads the library part of the script (everything up to "HERE THE ACTUAL SCRIPT BEGINS") into a fresh context with the
+// globals WorldPainter provides: dimension, print, wp, argv, Java.type() and the org.pepsoft.worldpainter classes. The
+// examples after the marker load layer files from C:\ and are left out.
+
+"use strict";
+
+const fs = require("fs");
+const path = require("path");
+const vm = require("vm");
+const {Terrain, createLayer, layers, createDimension} = require("./mock-dimension");
+const {Java, java, javax} = require("./java");
+
+const SCRIPT_PATH = path.join(__dirname, "..", "..", "WorldPainter-CustomFilterScript.js");
+const MARKER = /\n\/\/ -+ \/\/\n\/\/ -+ HERE THE ACTUAL SCRIPT BEGINS/;
+
+let librarySource = null;
+
+// Returns the script up to the marker, read once
+function readLibrary(){
+    if (librarySource === null){
+        const source = fs.readFileSync(SCRIPT_PATH, "utf8");
+        const parts = source.split(MARKER);
+        if (parts.length != 2){
+            throw new Error("the marker \"HERE THE ACTUAL SCRIPT BEGINS\" was not found in " + SCRIPT_PATH);
+        }
+        librarySource = parts[0];
+    }
+    return librarySource;
+}
+
+// Creates wp.getLayer().fromFile(path).go(). Layer files are looked up in layerFiles by path, anything else loads as a bit
+// layer named after the file. The same path gives the same layer
+function createLayerLoader(layerFiles){
+    const loaded = new Map();
+    return {
+        getLayer: () => ({
+            fromFile(file){
+                return {
+                    go(){
+                        const key = String(file);
+                        if (!loaded.has(key)){
+                            loaded.set(key, layerFiles[key] || createLayer(path.basename(key).replace(/\.layer$/, "")));
+                        }
+                        return loaded.get(key);
+                    }
+                };
+            }
+        })
+    };
+}
+
+// Loads the script. Options (all optional):
+//   dimension: the dimension to work on, default createDimension()
+//   layerFiles: layers returned by wp.getLayer().fromFile(path), by path
+//   argv: the script arguments
+// Returns the context: every global of the script, plus dimension, output (the printed lines) and run(code), which
+// evaluates code in the context and returns the result
+function loadScript(options){
+    options = options || {};
+    const output = [];
+    const context = {
+        dimension: options.dimension || createDimension(),
+        print: (line) => output.push(String(line)),
+        wp: createLayerLoader(options.layerFiles || {}),
+        org: {pepsoft: {worldpainter: {
+            Terrain,
+            layers: {
+                Biome: {INSTANCE: layers.Biome},
+                Annotations: {INSTANCE: layers.Annotations},
+                FloodWithLava: {INSTANCE: layers.FloodWithLava},
+                Frost: {INSTANCE: layers.Frost},
+                Void: {INSTANCE: layers.Void}
+            },
+            selection: {
+                SelectionBlock: {INSTANCE: layers.SelectionBlock},
+                SelectionChunk: {INSTANCE: layers.SelectionChunk}
+            }
+        }}},
+        Java,
+        java,
+        javax,
+        output
+    };
+    if (options.argv !== undefined){
+        context.argv = options.argv;
+    }
+    vm.createContext(context);
+    vm.runInContext(readLibrary(), context, {filename: SCRIPT_PATH});
+    context.run = (code) => vm.runInContext(code, context);
+    return context;
+}
+
+module.exports = {loadScript};
@@ -0,0 +1,290 @@
+// In-memory stand-ins for the parts of the WorldPainter API that the script uses: a dimension made of tiles with height,
+// water level, terrain and layer values per column, the Terrain enum and layers. Columns are generated from the options
+// when a tile is first read, so a test only describes the grid it needs.
+
+"use strict";
+
+// Width and height of a WorldPainter tile in blocks
+const TILE_SIZE = 128;
+
+// Names of the terrains that Terrain.valueOf knows. Any other name throws, like the real enum
+const TERRAIN_NAMES = ["GRASS", "BARE_GRASS", "DIRT", "COARSE_DIRT", "PODZOL", "MYCELIUM", "PERMAFROST", "SAND", "RED_SAND",
+    "SANDSTONE", "RED_SANDSTONE", "DESERT", "RED_DESERT", "MESA", "BEACHES", "STONE", "ROCK", "COBBLESTONE", "MOSSY_COBBLESTONE",
+    "GRANITE", "DIORITE", "ANDESITE", "DEEPSLATE", "GRAVEL", "CLAY", "SNOW", "DEEP_SNOW", "WATER", "LAVA", "OBSIDIAN",
+    "NETHERRACK", "SOUL_SAND", "END_STONE", "BEDROCK", "CUSTOM_1", "CUSTOM_2", "CUSTOM_3", "CUSTOM_4"];
+
+// Creates a terrain constant. name() is the enum name, getName() and toString() the display name, as in WorldPainter
+function createTerrain(name){
+    const displayName = name.charAt(0) + name.slice(1).toLowerCase().replace(/_/g, " ");
+    return {
+        name: () => name,
+        getName: () => displayName,
+        toString: () => displayName
+    };
+}
+
+const terrains = {};
+for (const name of TERRAIN_NAMES){
+    terrains[name] = createTerrain(name);
+}
+
+// The Terrain enum: constants by name and valueOf(name)
+const Terrain = Object.assign({
+    valueOf(name){
+        if (!Object.prototype.hasOwnProperty.call(terrains, String(name))){
+            throw new Error("No enum constant org.pepsoft.worldpainter.Terrain." + name);
+        }
+        return terrains[String(name)];
+    },
+    values: () => TERRAIN_NAMES.map((name) => terrains[name])
+}, terrains);
+
+// Creates a layer. dataSize is "BIT" (on/off, the default), "BIT_PER_CHUNK", "NIBBLE" (0 to 15) or "BYTE" (0 to 255)
+function createLayer(name, dataSize, defaultValue){
+    dataSize = dataSize || "BIT";
+    defaultValue = defaultValue || 0;
+    return {
+        getName: () => name,
+        getDataSize: () => ({name: () => dataSize, toString: () => dataSize}),
+        getDefaultValue: () => defaultValue,
+        toString: () => name
+    };
+}
+
+// The layers the script refers to by their class, as org.pepsoft.worldpainter.layers.X.INSTANCE
+const layers = {
+    Biome: createLayer("Biome", "BYTE", 255),
+    Annotations: createLayer("Annotations", "NIBBLE"),
+    FloodWithLava: createLayer("FloodWithLava"),
+    Frost: createLayer("Frost"),
+    Void: createLayer("Void"),
+    SelectionBlock: createLayer("SelectionBlock"),
+    SelectionChunk: createLayer("SelectionChunk", "BIT_PER_CHUNK")
+};
+
+// Turns an option that is either a value or a function of (x, y) into a function of (x, y)
+function toGenerator(option, defaultValue){
+    if (option === undefined){
+        return () => defaultValue;
+    }
+    return (typeof option === "function") ? option : () => option;
+}
+
+// Creates a dimension. Options (all optional):
+//   tiles: list of [tileX, tileY] that exist, default [[0, 0]]
+//   height, waterLevel: number or function (x, y) returning the initial value, default 64 and 62
+//   terrain: terrain name or function (x, y) returning one, default "GRASS"
+//   autoBiome: biome ID or function (x, y) WorldPainter would pick where no biome is painted, default 1 (plains)
+//   minHeight, maxHeight: build limits, default -64 and 320
+// Columns outside the tiles read the initial values and ignore writes. Besides the WorldPainter methods the dimension has
+// paint(x1, y1, x2, y2, values) and forEachColumn(callback) for building and checking grids, and counts the writes in writes
+function createDimension(options){
+    options = options || {};
+    const tileList = options.tiles || [[0, 0]];
+    const heightAt = toGenerator(options.height, 64);
+    const waterLevelAt = toGenerator(options.waterLevel, 62);
+    const terrainNameAt = toGenerator(options.terrain, "GRASS");
+    const autoBiomeAt = toGenerator(options.autoBiome, 1);
+    const minHeight = (options.minHeight === undefined) ? -64 : options.minHeight;
+    const maxHeight = (options.maxHeight === undefined) ? 320 : options.maxHeight;
+
+    const tiles = new Map();
+    for (const coords of tileList){
+        tiles.set(coords[0] + "," + coords[1], null);
+    }
+    const tileXs = tileList.map((coords) => coords[0]), tileYs = tileList.map((coords) => coords[1]);
+    const extent = {
+        x: Math.min(...tileXs),
+        y: Math.min(...tileYs),
+        width: Math.max(...tileXs) - Math.min(...tileXs) + 1,
+        height: Math.max(...tileYs) - Math.min(...tileYs) + 1,
+        getX(){ return this.x; },
+        getY(){ return this.y; },
+        getWidth(){ return this.width; },
+        getHeight(){ return this.height; }
+    };
+
+    // Returns the data of the tile containing a column, generating it on first use, or null if the tile does not exist
+    function tileAt(x, y){
+        const tileX = Math.floor(x / TILE_SIZE), tileY = Math.floor(y / TILE_SIZE);
+        const key = tileX + "," + tileY;
+        if (!tiles.has(key)){
+            return null;
+        }
+        let tile = tiles.get(key);
+        if (tile === null){
+            tile = {
+                height: new Float64Array(TILE_SIZE * TILE_SIZE),
+                waterLevel: new Int32Array(TILE_SIZE * TILE_SIZE),
+                terrain: new Array(TILE_SIZE * TILE_SIZE),
+                layers: new Map()
+            };
+            for (let localY = 0; localY < TILE_SIZE; localY++){
+                for (let localX = 0; localX < TILE_SIZE; localX++){
+                    const blockX = tileX * TILE_SIZE + localX, blockY = tileY * TILE_SIZE + localY, i = localY * TILE_SIZE + localX;
+                    tile.height[i] = heightAt(blockX, blockY);
+                    tile.waterLevel[i] = waterLevelAt(blockX, blockY);
+                    tile.terrain[i] = Terrain.valueOf(terrainNameAt(blockX, blockY));
+                }
+            }
+            tiles.set(key, tile);
+        }
+        return tile;
+    }
+
+    // Index of a column within its tile
+    function indexOf(x, y){
+        return (y - Math.floor(y / TILE_SIZE) * TILE_SIZE) * TILE_SIZE + (x - Math.floor(x / TILE_SIZE) * TILE_SIZE);
+    }
+
+    // Returns the values of a layer in a tile, creating them filled with the default value
+    function layerValues(tile, layer){
+        let values = tile.layers.get(layer);
+        if (values === undefined){
+            values = new Uint8Array(TILE_SIZE * TILE_SIZE).fill(layer.getDefaultValue());
+            tile.layers.set(layer, values);
+        }
+        return values;
+    }
+
+    const dimension = {
+        writes: 0,
+
+        getExtent: () => extent,
+        isTilePresent: (tileX, tileY) => tiles.has(tileX + "," + tileY),
+        getTile(tileX, tileY){
+            if (!tiles.has(tileX + "," + tileY)){
+                return null;
+            }
+            const tile = tileAt(tileX * TILE_SIZE, tileY * TILE_SIZE);
+            return {
+                getX: () => tileX,
+                getY: () => tileY,
+                hasLayer(layer){
+                    const values = tile.layers.get(layer);
+                    return values !== undefined && values.some((value) => value != layer.getDefaultValue());
+                }
+            };
+        },
+        getMinHeight: () => minHeight,
+        getMaxHeight: () => maxHeight,
+
+        getHeightAt(x, y){
+            const tile = tileAt(x, y);
+            return (tile === null) ? heightAt(x, y) : tile.height[indexOf(x, y)];
+        },
+        getIntHeightAt(x, y){
+            return Math.floor(dimension.getHeightAt(x, y) + 0.5);
+        },
+        setHeightAt(x, y, height){
+            const tile = tileAt(x, y);
+            if (tile !== null){
+                dimension.writes++;
+                tile.height[indexOf(x, y)] = height;
+            }
+        },
+        // Largest height difference to the four direct neighbors, like Dimension.getSlope
+        getSlope(x, y){
+            const height = dimension.getHeightAt(x, y);
+            return Math.max(Math.abs(dimension.getHeightAt(x + 1, y) - height), Math.abs(dimension.getHeightAt(x - 1, y) - height),
+                Math.abs(dimension.getHeightAt(x, y + 1) - height), Math.abs(dimension.getHeightAt(x, y - 1) - height));
+        },
+
+        getWaterLevelAt(x, y){
+            const tile = tileAt(x, y);
+            return (tile === null) ? waterLevelAt(x, y) : tile.waterLevel[indexOf(x, y)];
+        },
+        setWaterLevelAt(x, y, level){
+            const tile = tileAt(x, y);
+            if (tile !== null){
+                dimension.writes++;
+                tile.waterLevel[indexOf(x, y)] = level;
+            }
+        },
+
+        getTerrainAt(x, y){
+            const tile = tileAt(x, y);
+            return (tile === null) ? Terrain.valueOf(terrainNameAt(x, y)) : tile.terrain[indexOf(x, y)];
+        },
+        setTerrainAt(x, y, terrain){
+            const tile = tileAt(x, y);
+            if (tile !== null){
+                dimension.writes++;
+                tile.terrain[indexOf(x, y)] = terrain;
+            }
+        },
+
+        getBitLayerValueAt(layer, x, y){
+            return dimension.getLayerValueAt(layer, x, y) != 0;
+        },
+        setBitLayerValueAt(layer, x, y, value){
+            dimension.setLayerValueAt(layer, x, y, value ? 1 : 0);
+        },
+        getLayerValueAt(layer, x, y){
+            const tile = tileAt(x, y);
+            if (tile === null || !tile.layers.has(layer)){
+                return layer.getDefaultValue();
+            }
+            return tile.layers.get(layer)[indexOf(x, y)];
+        },
+        setLayerValueAt(layer, x, y, value){
+            const tile = tileAt(x, y);
+            if (tile !== null){
+                dimension.writes++;
+                layerValues(tile, layer)[indexOf(x, y)] = value;
+            }
+        },
+        getAutoBiome: (x, y) => autoBiomeAt(x, y),
+
+        // Sets the columns from x1, y1 to x2, y2 (inclusive). values can have height, waterLevel, terrain (a name) and
+        // layers (a list of [layer, value] pairs). Does not count as writes
+        paint(x1, y1, x2, y2, values){
+            for (let y = Math.min(y1, y2); y <= Math.max(y1, y2); y++){
+                for (let x = Math.min(x1, x2); x <= Math.max(x1, x2); x++){
+                    const tile = tileAt(x, y);
+                    if (tile === null){
+                        continue;
+                    }
+                    const i = indexOf(x, y);
+                    if (values.height !== undefined){
+                        tile.height[i] = values.height;
+                    }
+                    if (values.waterLevel !== undefined){
+                        tile.waterLevel[i] = values.waterLevel;
+                    }
+                    if (values.terrain !== undefined){
+                        tile.terrain[i] = Terrain.valueOf(values.terrain);
+                    }
+                    for (const [layer, value] of values.layers || []){
+                        layerValues(tile, layer)[i] = (value === true) ? 1 : (value === false) ? 0 : value;
+                    }
+                }
+            }
+        },
+
+        // Calls callback(x, y) for every column of every tile, tile by tile
+        forEachColumn(callback){
+            for (const [tileX, tileY] of tileList){
+                for (let y = tileY * TILE_SIZE; y < (tileY + 1) * TILE_SIZE; y++){
+                    for (let x = tileX * TILE_SIZE; x < (tileX + 1) * TILE_SIZE; x++){
+                        callback(x, y);
+                    }
+                }
+            }
+        },
+
+        // Counts the columns for which test(x, y) returns true
+        countColumns(test){
+            let count = 0;
+            dimension.forEachColumn((x, y) => {
+                if (test(x, y)){
+                    count++;
+                }
+            });
+            return count;
+        }
+    };
+    return dimension;
+}
+
+module.exports = {TILE_SIZE, Terrain, createLayer, layers, createDimension};